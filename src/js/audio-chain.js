@@ -0,0 +1,836 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Audio Chain
+ *
+ * Builds and configures the compressor/gain node chain. Loaded as a content
+ * script (used by content.js for media elements) and as a page script (used by
+ * webaudio-hook.js for page-owned Web Audio graphs), so both are processed the
+ * same way. Everything lives on one namespace object because in the page world
+ * top-level declarations would land on the page's global scope.
+ *
+ * The gate, the sidechain compressor, the limiter and the loudness meter are
+ * AudioWorklets (worklets/). Their modules load asynchronously, so a chain
+ * starts without them; once they are ready the gate is spliced in front of
+ * the compressor, the sidechain compressor is added next to the native one
+ * (and takes over when selected), the limiter goes in between the gain node
+ * and the wet gain, and the meter is attached next to the analyzer.
+ *
+ * The processed (wet) and unprocessed (dry) paths both stay connected to the
+ * destination; enabling or bypassing a chain crossfades between them, and
+ * parameter changes glide to their new values, so neither clicks. The same
+ * goes for the EQ and the compressor choice (native, sidechain or multiband):
+ * once built, every alternative stays connected and switching fades between
+ * their outputs.
+ */
+
+const EVCAudioChain = (() => {
+  // Convert dB to linear gain
+  function dbToGain(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  // Band names used for the multiband settings (lowThreshold, midRatio, ...)
+  const BANDS = ['low', 'mid', 'high'];
+
+  // Parameter changes glide with this time constant (seconds)
+  const PARAM_TIME_CONSTANT = 0.02;
+  // Time constant of the enable/bypass crossfade (seconds)
+  const CROSSFADE_TIME_CONSTANT = 0.03;
+  // Points in the crossfade gain curves (odd, so a mix of 0 hits a point exactly)
+  const CROSSFADE_CURVE_LENGTH = 257;
+
+  // Exponent of DynamicsCompressorNode's makeup gain
+  const MAKEUP_EXPONENT = 0.6;
+
+  // Number of parametric EQ bands (settings.eqBands)
+  const EQ_BAND_COUNT = 4;
+
+  // Base URL of the extension's js/ directory. As a content script the
+  // runtime API is available; in the page world webaudio-hook.js passes it
+  // in (setScriptBaseUrl) before building any chain.
+  let scriptBaseUrl = typeof browser !== 'undefined' && browser.runtime
+    ? browser.runtime.getURL('js/')
+    : null;
+
+  // AudioWorklet modules every chain may use
+  const WORKLET_MODULES = [
+    'worklets/gate-processor.js',
+    'worklets/compressor-processor.js',
+    'worklets/limiter-processor.js',
+    'worklets/loudness-processor.js'
+  ];
+
+  // Auto-level: short-term loudness below this (LUFS) is treated as silence and
+  // leaves the gain alone; otherwise each 100 ms loudness report moves the gain
+  // a fraction of the way toward the target, limited to a slow rate
+  const AUTO_LEVEL_GATE = -50;
+  const AUTO_LEVEL_RATE = 0.05;
+  const AUTO_LEVEL_MAX_STEP = 0.1; // dB per report (1 dB/s)
+
+  // Module loading per AudioContext (context -> Promise<boolean>)
+  const workletLoads = new WeakMap();
+
+  // Native connect/disconnect, captured before webaudio-hook.js wraps them, so
+  // nodes added after the chain was built are not rerouted by the hook
+  const nativeConnect = AudioNode.prototype.connect;
+  const nativeDisconnect = AudioNode.prototype.disconnect;
+
+  // Set where the worklet modules are loaded from (page world only)
+  function setScriptBaseUrl(url) {
+    if (typeof url === 'string' && url.startsWith('moz-extension:')) scriptBaseUrl = url;
+  }
+
+  // Load the worklet modules into a context once; resolves false if AudioWorklet
+  // is unavailable (e.g. insecure pages) or the modules cannot be loaded
+  function loadWorklets(audioContext) {
+    if (workletLoads.has(audioContext)) return workletLoads.get(audioContext);
+
+    let load;
+    if (!audioContext.audioWorklet || !scriptBaseUrl) {
+      load = Promise.resolve(false);
+    } else {
+      load = Promise.all(WORKLET_MODULES.map(path => audioContext.audioWorklet.addModule(scriptBaseUrl + path)))
+        .then(() => true)
+        .catch(error => {
+          console.warn('Easy Volume Compressor: AudioWorklet modules could not be loaded', error);
+          return false;
+        });
+    }
+    workletLoads.set(audioContext, load);
+    return load;
+  }
+
+  // Move an AudioParam to a new value. While the context runs, the value
+  // glides there: a jump clicks, and a dragged slider would make zipper
+  // noise. A context that is not running plays nothing, so the value is set
+  // at once (which also keeps offline contexts such as the popup's EQ graph exact).
+  function setParam(context, param, value, timeConstant = PARAM_TIME_CONSTANT) {
+    if (context.state !== 'running' || !timeConstant) {
+      param.cancelScheduledValues(0);
+      param.value = value;
+      return;
+    }
+    param.cancelScheduledValues(context.currentTime);
+    param.setTargetAtTime(value, context.currentTime, timeConstant);
+  }
+
+  // setParam for several parameters of an AudioWorkletNode ({ name: value })
+  function setWorkletParams(node, values) {
+    Object.entries(values).forEach(([name, value]) => {
+      setParam(node.context, node.parameters.get(name), value);
+    });
+  }
+
+  // Configure compressor with current settings (threshold/ratio can be overridden per band)
+  function configureCompressor(compressor, settings, threshold = settings.threshold, ratio = settings.ratio) {
+    const context = compressor.context;
+    setParam(context, compressor.threshold, threshold);
+    setParam(context, compressor.ratio, ratio);
+    setParam(context, compressor.attack, settings.attack);
+    setParam(context, compressor.release, settings.release);
+    setParam(context, compressor.knee, settings.knee);
+  }
+
+  // Static output level (dB) of a compressor for a steady input level (dB):
+  // unity below the threshold, 1/ratio above the knee and a smooth bend over
+  // the knee, which starts at the threshold like DynamicsCompressorNode's
+  // (worklets/compressor-processor.js has a copy)
+  function compressorCurve(inputDb, threshold, ratio, knee) {
+    if (inputDb <= threshold) return inputDb;
+    const slope = 1 / ratio;
+    if (inputDb < threshold + knee) {
+      const over = inputDb - threshold;
+      return inputDb + (slope - 1) * over * over / (2 * knee);
+    }
+    const kneeEnd = threshold + knee + (slope - 1) * knee / 2;
+    return kneeEnd + (inputDb - threshold - knee) * slope;
+  }
+
+  // Automatic makeup gain (dB) DynamicsCompressorNode adds after the curve:
+  // 0.6 of the reduction a full-scale (0 dB) signal gets
+  // (worklets/compressor-processor.js has a copy)
+  function compressorMakeup(threshold, ratio, knee) {
+    return -compressorCurve(0, threshold, ratio, knee) * MAKEUP_EXPONENT;
+  }
+
+  // Update output gain: the user's setting plus the auto-level gain and the
+  // chain's own trim, in dB
+  function updateOutputGain(chain) {
+    const gain = dbToGain(chain.settings.outputGain + chain.autoGain + chain.overrides.trim);
+    setParam(chain.gainNode.context, chain.gainNode.gain, gain);
+  }
+
+  // Move the auto-level gain toward the target after a loudness report
+  function updateAutoLevel(chain) {
+    const { settings, loudness } = chain;
+    if (!settings.autoLevel || chain.connected !== true) return;
+    if (!(loudness.shortTerm > AUTO_LEVEL_GATE)) return;
+
+    const error = settings.autoLevelTarget - loudness.shortTerm;
+    const step = Math.max(-AUTO_LEVEL_MAX_STEP, Math.min(AUTO_LEVEL_MAX_STEP, error * AUTO_LEVEL_RATE));
+    chain.autoGain = Math.max(-settings.autoLevelMaxCut, Math.min(settings.autoLevelMaxBoost, chain.autoGain + step));
+    updateOutputGain(chain);
+  }
+
+  // Apply the gate settings (a no-op until the gate is attached)
+  function configureGate(chain, settings) {
+    if (!chain.gate) return;
+    setWorkletParams(chain.gate, {
+      threshold: settings.gateThreshold,
+      range: settings.gateRange,
+      attack: settings.gateAttack,
+      hold: settings.gateHold,
+      release: settings.gateRelease,
+      active: settings.gate ? 1 : 0
+    });
+  }
+
+  // Apply the compressor settings and the detector's high-pass frequency to
+  // the sidechain compressor (a no-op until it is attached)
+  function configureSidechain(chain, settings) {
+    if (!chain.sidechain) return;
+    setWorkletParams(chain.sidechain, {
+      threshold: settings.threshold,
+      ratio: settings.ratio,
+      knee: settings.knee,
+      attack: settings.attack,
+      release: settings.release,
+      highpass: settings.sidechainHighpass
+    });
+  }
+
+  // Apply ceiling/release to the limiter (a no-op until it is attached)
+  function configureLimiter(chain, settings) {
+    if (!chain.limiter) return;
+    setWorkletParams(chain.limiter, {
+      ceiling: settings.limiterCeiling,
+      release: settings.limiterRelease,
+      active: settings.limiter ? 1 : 0
+    });
+  }
+
+  // Build the EQ filters in series: high pass, the parametric bands, low pass.
+  // Also used by the popup to draw the EQ curve.
+  function createEqFilters(audioContext) {
+    const highpass = audioContext.createBiquadFilter();
+    highpass.type = 'highpass';
+    const bands = [];
+    for (let i = 0; i < EQ_BAND_COUNT; i++) {
+      const band = audioContext.createBiquadFilter();
+      band.type = 'peaking';
+      bands.push(band);
+    }
+    const lowpass = audioContext.createBiquadFilter();
+    lowpass.type = 'lowpass';
+
+    const filters = [highpass, ...bands, lowpass];
+    for (let i = 1; i < filters.length; i++) {
+      filters[i - 1].connect(filters[i]);
+    }
+    return { highpass, bands, lowpass, filters };
+  }
+
+  // Apply the EQ curve from settings
+  function configureEq(eq, settings) {
+    const context = eq.highpass.context;
+    setParam(context, eq.highpass.frequency, settings.eqHighpass);
+    setParam(context, eq.highpass.Q, Math.SQRT1_2);
+    setParam(context, eq.lowpass.frequency, settings.eqLowpass);
+    setParam(context, eq.lowpass.Q, Math.SQRT1_2);
+    eq.bands.forEach((filter, i) => {
+      const band = settings.eqBands[i];
+      setParam(context, filter.frequency, band.frequency);
+      setParam(context, filter.gain, band.gain);
+      setParam(context, filter.Q, band.q);
+    });
+  }
+
+  // Build the EQ in front of the compressor input on first use
+  function ensureEq(chain) {
+    if (chain.eq) return chain.eq;
+    const eq = createEqFilters(chain.source.context);
+    // Silent until setEqActive fades it in next to the EQ bypass
+    eq.output = chain.source.context.createGain();
+    eq.output.gain.value = 0;
+    chain.stereo.merger.connect(eq.highpass);
+    eq.lowpass.connect(eq.output);
+    eq.output.connect(chain.compressorInput);
+    chain.eq = eq;
+    return eq;
+  }
+
+  // Fade the compressor input over to the EQ'd stereo stage or to the stereo
+  // stage straight through. Both carry the same audio, so a linear crossfade
+  // (complementary gains) keeps the level.
+  function setEqActive(chain, active) {
+    active = !!active;
+    if (chain.eqActive === active) return;
+
+    const context = chain.source.context;
+    setParam(context, chain.eqBypass.gain, active ? 0 : 1, CROSSFADE_TIME_CONSTANT);
+    setParam(context, chain.eq.output.gain, active ? 1 : 0, CROSSFADE_TIME_CONSTANT);
+    chain.eqActive = active;
+  }
+
+  // Build the stereo stage: the input is mixed to exactly two channels, split,
+  // sent through a 2x2 gain matrix and merged again
+  function createStereoStage(audioContext) {
+    const input = audioContext.createGain();
+    input.channelCount = 2;
+    input.channelCountMode = 'explicit';
+    input.channelInterpretation = 'speakers'; // Mono is copied to both sides, surround is downmixed
+
+    const splitter = audioContext.createChannelSplitter(2);
+    const merger = audioContext.createChannelMerger(2);
+    input.connect(splitter);
+
+    // matrix.lr = gain from left input to right output, etc.
+    const matrix = {};
+    [['ll', 0, 0], ['lr', 0, 1], ['rl', 1, 0], ['rr', 1, 1]].forEach(([name, from, to]) => {
+      const gain = audioContext.createGain();
+      splitter.connect(gain, from);
+      gain.connect(merger, 0, to);
+      matrix[name] = gain;
+    });
+    return { input, splitter, matrix, merger };
+  }
+
+  // Set the stereo matrix from swap, width (0 = mono, 1 = unchanged, 2 = extra
+  // wide), mono and balance (-1 = left only, 1 = right only)
+  function configureStereo(stereo, settings) {
+    // Swap: each output starts from the other input
+    let [ll, rl, lr, rr] = settings.stereoSwap ? [0, 1, 1, 0] : [1, 0, 0, 1];
+
+    // Width via mid/side: L' = M + wS, R' = M - wS
+    const width = settings.stereoMono ? 0 : settings.stereoWidth;
+    const same = (1 + width) / 2;
+    const cross = (1 - width) / 2;
+    [ll, rl, lr, rr] = [
+      same * ll + cross * lr, same * rl + cross * rr,
+      cross * ll + same * lr, cross * rl + same * rr
+    ];
+
+    // Balance: turn the opposite side down, never boost
+    const balance = settings.stereoBalance;
+    const leftGain = Math.min(1, 1 - balance);
+    const rightGain = Math.min(1, 1 + balance);
+
+    const { matrix } = stereo;
+    const context = matrix.ll.context;
+    setParam(context, matrix.ll.gain, ll * leftGain);
+    setParam(context, matrix.rl.gain, rl * leftGain);
+    setParam(context, matrix.lr.gain, lr * rightGain);
+    setParam(context, matrix.rr.gain, rr * rightGain);
+  }
+
+  // WaveShaper turning the crossfade position (0 = dry, 1 = wet) into a gain
+  // with curve(position * PI / 2); sin and cos give an equal-power crossfade
+  function createCrossfadeShaper(audioContext, curve) {
+    const shaper = audioContext.createWaveShaper();
+    const points = new Float32Array(CROSSFADE_CURVE_LENGTH);
+    for (let i = 0; i < points.length; i++) {
+      // The shaper maps inputs -1..1 onto the points; negative positions count as 0
+      const position = Math.max(0, i / (points.length - 1) * 2 - 1);
+      points[i] = curve(position * Math.PI / 2);
+    }
+    shaper.curve = points;
+    shaper.oversample = 'none';
+    return shaper;
+  }
+
+  // Build source -> stereo (-> EQ) (-> gate) -> compressor -> gain (-> limiter)
+  // (-> analyzer) -> wet gain -> destination, next to source -> dry gain ->
+  // destination. settings.enabled picks the mix of the two.
+  function createChain(audioContext, source, settings) {
+    // Stereo utilities (mono, balance, swap, width)
+    const stereo = createStereoStage(audioContext);
+
+    // Junction in front of the compressor (or band splitter), after the EQ
+    const compressorInput = audioContext.createGain();
+    // Stereo stage straight to the compressor input, faded out while the EQ is on
+    const eqBypass = audioContext.createGain();
+
+    // Create compressor node
+    const compressor = audioContext.createDynamicsCompressor();
+    // Output of the native compressor, faded out while another one is selected
+    const compressorOutput = audioContext.createGain();
+
+    // Create gain node for output gain control
+    const gainNode = audioContext.createGain();
+
+    // Create analyzer for level metering
+    const analyzer = audioContext.createAnalyser();
+    analyzer.fftSize = 1024;
+    analyzer.smoothingTimeConstant = 0.3;
+
+    // Per-channel analyzers for the L/R meter, fed from the analyzer's pass-through output
+    const meterSplitter = audioContext.createChannelSplitter(2);
+    const channelAnalyzers = [audioContext.createAnalyser(), audioContext.createAnalyser()];
+    analyzer.connect(meterSplitter);
+    channelAnalyzers.forEach((channelAnalyzer, i) => {
+      channelAnalyzer.fftSize = 1024;
+      channelAnalyzer.smoothingTimeConstant = 0.3;
+      meterSplitter.connect(channelAnalyzer, i);
+    });
+
+    // Connect the nodes
+    source.connect(stereo.input);
+    stereo.merger.connect(eqBypass);
+    eqBypass.connect(compressorInput);
+    compressorInput.connect(compressor);
+    compressor.connect(compressorOutput);
+    compressorOutput.connect(gainNode);
+
+    // Connect analyzer after the gain node to measure the final output
+    gainNode.connect(analyzer);
+
+    // Wet (processed) and dry (bypassed) paths, both always connected. Their
+    // gains follow one constant source, the crossfade position, through
+    // sin/cos curves.
+    const wetGain = audioContext.createGain();
+    const dryGain = audioContext.createGain();
+    wetGain.gain.value = 0;
+    dryGain.gain.value = 0;
+    const mix = audioContext.createConstantSource();
+    mix.offset.value = 0;
+    const wetShaper = createCrossfadeShaper(audioContext, Math.sin);
+    const dryShaper = createCrossfadeShaper(audioContext, Math.cos);
+    mix.connect(wetShaper);
+    mix.connect(dryShaper);
+    wetShaper.connect(wetGain.gain);
+    dryShaper.connect(dryGain.gain);
+    mix.start();
+
+    gainNode.connect(wetGain);
+    source.connect(dryGain);
+    wetGain.connect(audioContext.destination);
+    dryGain.connect(audioContext.destination);
+
+    const chain = {
+      source,
+      stereo,
+      eqBypass,
+      compressorInput,
+      compressorFeed: compressorInput, // Node feeding the compressors (the gate once attached)
+      gate: null,
+      gateOpen: false,
+      compressor,
+      compressorOutput,
+      sidechain: null, // Sidechain compressor (worklet), once attached
+      sidechainOutput: null,
+      sidechainActive: false,
+      sidechainReduction: 0,
+      gainNode,
+      analyzer,
+      meterSplitter,
+      channelAnalyzers,
+      output: gainNode, // Last node before the wet gain (the limiter once attached)
+      wetGain,
+      dryGain,
+      mix, // Crossfade position: 0 = dry, 1 = wet
+      wetShaper,
+      dryShaper,
+      limiter: null,
+      limiterReduction: 0,
+      loudnessMeter: null,
+      loudness: null, // Latest { momentary, shortTerm, integrated } in LUFS
+      autoGain: 0, // Auto-level gain in dB
+      overrides: { bypass: false, trim: 0 }, // Per-chain bypass and gain trim (dB), see setOverrides
+      settings,
+      connected: null,
+      multiband: null, // Multiband path, built on first use
+      multibandActive: false,
+      eq: null, // EQ filters, built on first use
+      eqActive: false,
+      disposed: false
+    };
+    configureChain(chain, settings);
+
+    loadWorklets(audioContext).then(loaded => {
+      if (loaded) attachWorkletNodes(chain);
+    });
+    return chain;
+  }
+
+  // Add the worklet stages to a chain once their modules are loaded
+  function attachWorkletNodes(chain) {
+    if (chain.disposed || chain.source.context.state === 'closed') return;
+    attachGate(chain);
+    attachSidechain(chain);
+    attachLimiter(chain);
+    attachLoudnessMeter(chain);
+  }
+
+  // Splice the gate in between the compressor input and the compressors
+  function attachGate(chain) {
+    if (chain.gate) return;
+
+    let gate;
+    try {
+      gate = new AudioWorkletNode(chain.source.context, 'evc-gate');
+    } catch (error) {
+      console.warn('Easy Volume Compressor: gate unavailable', error);
+      return;
+    }
+    gate.port.onmessage = (event) => {
+      chain.gateOpen = event.data.open;
+    };
+
+    nativeConnect.call(chain.compressorInput, gate);
+    getCompressorTargets(chain).forEach(target => {
+      nativeConnect.call(gate, target);
+      nativeDisconnect.call(chain.compressorInput, target);
+    });
+    chain.gate = gate;
+    chain.compressorFeed = gate;
+    configureGate(chain, chain.settings);
+  }
+
+  // Add the sidechain compressor next to the native one; its output is faded
+  // in when the settings select it
+  function attachSidechain(chain) {
+    if (chain.sidechain) return;
+
+    let sidechain;
+    try {
+      sidechain = new AudioWorkletNode(chain.source.context, 'evc-compressor');
+    } catch (error) {
+      console.warn('Easy Volume Compressor: sidechain compressor unavailable', error);
+      return;
+    }
+    sidechain.port.onmessage = (event) => {
+      chain.sidechainReduction = event.data.reduction;
+    };
+
+    const output = chain.source.context.createGain();
+    output.gain.value = 0;
+    nativeConnect.call(chain.compressorFeed, sidechain);
+    nativeConnect.call(sidechain, output);
+    nativeConnect.call(output, chain.gainNode);
+    chain.sidechain = sidechain;
+    chain.sidechainOutput = output;
+    configureSidechain(chain, chain.settings);
+    setCompressorRoute(chain, chain.settings);
+  }
+
+  // Splice the limiter in between the gain node and the wet gain/analyzer
+  function attachLimiter(chain) {
+    if (chain.limiter) return;
+
+    let limiter;
+    try {
+      limiter = new AudioWorkletNode(chain.source.context, 'evc-limiter');
+    } catch (error) {
+      console.warn('Easy Volume Compressor: limiter unavailable', error);
+      return;
+    }
+    limiter.port.onmessage = (event) => {
+      chain.limiterReduction = event.data.reduction;
+    };
+
+    nativeConnect.call(chain.gainNode, limiter);
+    nativeConnect.call(limiter, chain.analyzer);
+    nativeDisconnect.call(chain.gainNode, chain.analyzer);
+    nativeConnect.call(limiter, chain.wetGain);
+    nativeDisconnect.call(chain.gainNode, chain.wetGain);
+    chain.limiter = limiter;
+    chain.output = limiter;
+    configureLimiter(chain, chain.settings);
+  }
+
+  // Measure loudness at the same point as the analyzer (the final output)
+  function attachLoudnessMeter(chain) {
+    if (chain.loudnessMeter) return;
+
+    let meter;
+    try {
+      meter = new AudioWorkletNode(chain.source.context, 'evc-loudness', { numberOfOutputs: 0 });
+    } catch (error) {
+      console.warn('Easy Volume Compressor: loudness meter unavailable', error);
+      return;
+    }
+    meter.port.onmessage = (event) => {
+      chain.loudness = event.data;
+      updateAutoLevel(chain);
+    };
+
+    nativeConnect.call(chain.output, meter);
+    chain.loudnessMeter = meter;
+  }
+
+  // Start a new integrated loudness measurement, e.g. when the source changes
+  function resetLoudness(chain) {
+    if (!chain.loudnessMeter) return;
+    chain.loudnessMeter.port.postMessage('reset');
+    chain.loudness = null;
+  }
+
+  // Tear a chain down: stop its worklet processors and disconnect every node
+  // so the graph can be garbage collected. The source node stays tied to its
+  // media element (an element can only ever get one), so it may be given a
+  // new chain later.
+  function disposeChain(chain) {
+    chain.disposed = true;
+    [chain.gate, chain.sidechain, chain.limiter, chain.loudnessMeter].forEach(node => {
+      if (!node) return;
+      node.port.onmessage = null;
+      node.port.postMessage('dispose');
+    });
+    try {
+      chain.mix.stop();
+    } catch (e) {
+      // Already stopped
+    }
+
+    const { stereo, eq, multiband } = chain;
+    const nodes = [
+      chain.source, stereo.input, stereo.splitter, ...Object.values(stereo.matrix), stereo.merger, chain.eqBypass,
+      chain.compressorInput, chain.gate, chain.compressor, chain.compressorOutput, chain.sidechain,
+      chain.sidechainOutput, chain.gainNode, chain.limiter,
+      chain.analyzer, chain.meterSplitter, chain.wetGain, chain.dryGain, chain.mix, chain.wetShaper,
+      chain.dryShaper
+    ];
+    if (eq) nodes.push(...eq.filters, eq.output);
+    if (multiband) {
+      nodes.push(multiband.input, ...Object.values(multiband.filters).flat(), ...Object.values(multiband.compressors),
+        multiband.output);
+    }
+    nodes.forEach(node => {
+      if (node) nativeDisconnect.call(node);
+    });
+    chain.connected = null;
+  }
+
+  // Apply settings to an existing chain
+  function configureChain(chain, settings) {
+    chain.settings = settings;
+    configureStereo(chain.stereo, settings);
+    if (settings.eq || chain.eq) {
+      configureEq(ensureEq(chain), settings);
+    }
+    setEqActive(chain, settings.eq);
+    configureGate(chain, settings);
+    configureCompressor(chain.compressor, settings);
+    configureSidechain(chain, settings);
+    if (settings.multiband || chain.multiband) {
+      configureMultiband(ensureMultiband(chain), settings);
+    }
+    setCompressorRoute(chain, settings);
+    if (!settings.autoLevel) chain.autoGain = 0;
+    updateOutputGain(chain);
+    configureLimiter(chain, settings);
+    setChainEnabled(chain, settings.enabled && !chain.overrides.bypass);
+  }
+
+  // Build the 3-band path: Linkwitz-Riley (4th order) crossovers, one
+  // compressor per band, all summed into an output that is faded into the
+  // chain's gain node while multiband is on
+  function ensureMultiband(chain) {
+    if (chain.multiband) return chain.multiband;
+
+    const audioContext = chain.source.context;
+    const createFilter = (type) => {
+      const filter = audioContext.createBiquadFilter();
+      filter.type = type;
+      filter.Q.value = Math.SQRT1_2; // Butterworth; two in series make an LR4 slope
+      return filter;
+    };
+
+    const input = audioContext.createGain();
+    const output = audioContext.createGain();
+    output.gain.value = 0;
+    const filters = {
+      // The allpass at the upper crossover keeps the low band in phase with mid + high
+      low: [createFilter('lowpass'), createFilter('lowpass'), createFilter('allpass')],
+      mid: [createFilter('highpass'), createFilter('highpass'), createFilter('lowpass'), createFilter('lowpass')],
+      high: [createFilter('highpass'), createFilter('highpass')]
+    };
+
+    const compressors = {};
+    BANDS.forEach(band => {
+      let node = input;
+      filters[band].forEach(filter => {
+        node.connect(filter);
+        node = filter;
+      });
+      compressors[band] = audioContext.createDynamicsCompressor();
+      node.connect(compressors[band]);
+      compressors[band].connect(output);
+    });
+    nativeConnect.call(chain.compressorFeed, input);
+    nativeConnect.call(output, chain.gainNode);
+
+    chain.multiband = { input, filters, compressors, output };
+    return chain.multiband;
+  }
+
+  // Apply crossover frequencies and per-band compressor settings
+  function configureMultiband(multiband, settings) {
+    const low = settings.crossoverLow;
+    const high = Math.max(settings.crossoverHigh, low * 1.5); // Keep the mid band open
+    const { filters, compressors } = multiband;
+    const context = multiband.input.context;
+    const setFrequency = (filter, frequency) => setParam(context, filter.frequency, frequency);
+
+    setFrequency(filters.low[0], low);
+    setFrequency(filters.low[1], low);
+    setFrequency(filters.low[2], high);
+    setFrequency(filters.mid[0], low);
+    setFrequency(filters.mid[1], low);
+    setFrequency(filters.mid[2], high);
+    setFrequency(filters.mid[3], high);
+    setFrequency(filters.high[0], high);
+    setFrequency(filters.high[1], high);
+
+    BANDS.forEach(band => {
+      configureCompressor(compressors[band], settings, settings[`${band}Threshold`], settings[`${band}Ratio`]);
+    });
+  }
+
+  // Nodes the compressor feed goes into (the native and sidechain compressors
+  // and the band splitter, as far as they exist)
+  function getCompressorTargets(chain) {
+    return [chain.compressor, chain.sidechain, chain.multiband && chain.multiband.input].filter(Boolean);
+  }
+
+  // Use the band splitter in multiband mode, otherwise the sidechain
+  // compressor when selected (and attached) or the native compressor. All of
+  // them keep running on the same feed, so switching is a linear crossfade
+  // of their outputs and the one faded in has already settled on the audio.
+  function setCompressorRoute(chain, settings) {
+    chain.multibandActive = !!settings.multiband;
+    chain.sidechainActive = !chain.multibandActive && settings.compressorMode === 'sidechain' && !!chain.sidechain;
+    const nativeActive = !chain.multibandActive && !chain.sidechainActive;
+
+    const context = chain.source.context;
+    const fade = (output, active) => {
+      if (output) setParam(context, output.gain, active ? 1 : 0, CROSSFADE_TIME_CONSTANT);
+    };
+    fade(chain.compressorOutput, nativeActive);
+    fade(chain.sidechainOutput, chain.sidechainActive);
+    fade(chain.multiband && chain.multiband.output, chain.multibandActive);
+  }
+
+  // Override the settings for this chain only: { bypass, trim } (either may be omitted)
+  function setOverrides(chain, overrides) {
+    chain.overrides = { ...chain.overrides, ...overrides };
+    updateOutputGain(chain);
+    setChainEnabled(chain, chain.settings.enabled && !chain.overrides.bypass);
+  }
+
+  // Crossfade to the processed (wet) path, or to the source straight through
+  // (dry). The first call sets the mix at once. chain.connected is null until
+  // the first call, then true (processed) or false (bypassed).
+  function setChainEnabled(chain, enabled) {
+    if (chain.connected === enabled) return;
+
+    const timeConstant = chain.connected === null ? 0 : CROSSFADE_TIME_CONSTANT;
+    setParam(chain.mix.context, chain.mix.offset, enabled ? 1 : 0, timeConstant);
+    chain.connected = enabled;
+  }
+
+  // RMS level of the analyzer's current buffer in dB (clamped to -60dB minimum)
+  function measureLevel(analyzer) {
+    const dataArray = new Uint8Array(analyzer.frequencyBinCount);
+    analyzer.getByteTimeDomainData(dataArray);
+
+    // Calculate RMS value (root mean square)
+    let sum = 0;
+    for (let i = 0; i < dataArray.length; i++) {
+      // Convert from 0-255 to -1.0 to 1.0
+      const amplitude = (dataArray[i] - 128) / 128;
+      sum += amplitude * amplitude;
+    }
+    const rms = Math.sqrt(sum / dataArray.length);
+    return 20 * Math.log10(Math.max(rms, 0.001));
+  }
+
+  // RMS levels of the final output's left and right channels in dB
+  function measureChannelLevels(chain) {
+    return chain.channelAnalyzers.map(measureLevel);
+  }
+
+  // Sample peak of the analyzer's current buffer in dB (clamped to -60dB minimum)
+  function measurePeak(analyzer) {
+    const samples = new Float32Array(analyzer.fftSize);
+    analyzer.getFloatTimeDomainData(samples);
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    return 20 * Math.log10(Math.max(peak, 0.001));
+  }
+
+  // Peak levels of the final output's left and right channels in dB
+  function measureChannelPeaks(chain) {
+    return chain.channelAnalyzers.map(measurePeak);
+  }
+
+  // True if the analyzer's current buffer is digital silence (what Web Audio
+  // outputs for a cross-origin source it is not allowed to read)
+  function isSilent(analyzer) {
+    const dataArray = new Uint8Array(analyzer.fftSize);
+    analyzer.getByteTimeDomainData(dataArray);
+    return dataArray.every(value => value === 128);
+  }
+
+  // Current gain reduction in dB (reported as a positive number).
+  // In multiband mode this is the largest reduction of any band; with the
+  // sidechain compressor it is the latest reduction it reported.
+  function getReduction(chain) {
+    const bandReductions = getBandReductions(chain);
+    if (bandReductions) return Math.max(...bandReductions);
+    if (chain.sidechainActive) return chain.sidechainReduction;
+    // Note: reduction is a negative value in the Web Audio API
+    return Math.abs(chain.compressor.reduction);
+  }
+
+  // Per-band gain reduction [low, mid, high] in dB, or null outside multiband mode
+  function getBandReductions(chain) {
+    if (!chain.multibandActive) return null;
+    return BANDS.map(band => Math.abs(chain.multiband.compressors[band].reduction));
+  }
+
+  // Gain reduction applied by the limiter in dB (largest in the last report period)
+  function getLimiterReduction(chain) {
+    return chain.limiter && chain.connected ? chain.limiterReduction : 0;
+  }
+
+  // Whether the gate was open during its last report period, or null when the
+  // gate is off (or not available)
+  function isGateOpen(chain) {
+    if (!chain.gate || !chain.settings.gate || !chain.connected) return null;
+    return chain.gateOpen;
+  }
+
+  // Latest loudness of a chain with the applied auto-level gain, or null before
+  // the first measurement: { momentary, shortTerm, integrated, autoGain }
+  function getLoudness(chain) {
+    if (!chain.loudness) return null;
+    return { ...chain.loudness, autoGain: chain.autoGain };
+  }
+
+  return {
+    dbToGain,
+    compressorCurve,
+    compressorMakeup,
+    setScriptBaseUrl,
+    createChain,
+    disposeChain,
+    createEqFilters,
+    configureEq,
+    configureChain,
+    setChainEnabled,
+    setOverrides,
+    measureLevel,
+    measureChannelLevels,
+    measureChannelPeaks,
+    isSilent,
+    getReduction,
+    getBandReductions,
+    getLimiterReduction,
+    getLoudness,
+    resetLoudness,
+    isGateOpen
+  };
+})();
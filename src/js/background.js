@@ -3,28 +3,67 @@
  * Easy Volume Compressor - Background Script
  *
  * Manages settings per site/tab and communicates with content scripts.
+ * FACTORY_SETTINGS and the settings helpers come from settings.js;
+ * URL pattern matching for settings keys comes from rules.js; the
+ * storage.sync item helpers come from sync.js.
  */
 
-// Default compressor settings
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  ratio: 4.0,        // Compression ratio
-  threshold: -20.0,  // dB threshold
-  attack: 0.003,     // Seconds
-  release: 0.25,     // Seconds
-  outputGain: 0.0    // dB
+// Built-in presets (read-only, always available)
+const BUILTIN_PRESETS = {
+  dialogue: { name: 'Dialogue', settings: { threshold: -30, ratio: 6.0, attack: 0.005, release: 0.2, outputGain: 4.0 } },
+  night:    { name: 'Night',    settings: { threshold: -40, ratio: 12.0, attack: 0.002, release: 0.3, outputGain: 6.0 } },
+  music:    { name: 'Music',    settings: { threshold: -18, ratio: 2.5, attack: 0.02, release: 0.4, outputGain: 1.0 } },
+  podcast:  { name: 'Podcast',  settings: { threshold: -26, ratio: 4.0, attack: 0.005, release: 0.25, outputGain: 3.0 } }
 };
 
 // Store settings per key (domain, file URL, tab-id-X)
 let siteSettings = {}; // In-memory cache of settings
 const STORAGE_KEY = 'siteSettings'; // Key for browser.storage.local
 
+// User-chosen global default, applied to every key without a profile.
+// Empty means the factory settings are used.
+let globalDefault = {};
+const GLOBAL_DEFAULT_STORAGE_KEY = 'globalDefault';
+
+// User-defined presets by id ({ name, settings })
+let userPresets = {};
+const PRESETS_STORAGE_KEY = 'userPresets'; // Stored next to siteSettings
+
+// Extension-wide preferences (not per site)
+const DEFAULT_PREFERENCES = Object.freeze({
+  badgeReduction: false, // Show the gain reduction on the toolbar badge while playing
+  sync: false,           // Sync site profiles and user presets through storage.sync
+  meterRate: 30,         // Popup meter frames per second
+  // Where the content scripts run: 'all' sites or only the 'allowlist'.
+  // Blocked sites never get them in either mode. Both lists hold site keys
+  // (see isSiteListPattern in rules.js).
+  siteMode: 'all',
+  allowedSites: Object.freeze([]),
+  blockedSites: Object.freeze(['meet.google.com', 'teams.microsoft.com', 'teams.live.com', '*.zoom.us', '*.webex.com'])
+});
+let preferences = { ...DEFAULT_PREFERENCES };
+const PREFERENCES_STORAGE_KEY = 'preferences';
+
+// Modification times of site profiles and user presets ({ site, preset },
+// each id -> ms), kept for deleted entries too, for merging with other devices
+let syncTimestamps = { site: {}, preset: {} };
+const SYNC_TIMESTAMPS_STORAGE_KEY = 'syncTimestamps';
+// JSON of each entry as last saved ({ site, preset }), to find what changed
+let syncSnapshots = { site: {}, preset: {} };
+// Outcome of the latest sync, shown on the options page
+let syncStatus = { state: 'off', message: '', time: 0, usage: null };
+
 // --- Initialization ---
 
 // Load settings from storage when the extension starts
 async function loadSettingsFromStorage() {
   try {
-    const result = await browser.storage.local.get(STORAGE_KEY);
+    const result = await browser.storage.local.get([STORAGE_KEY, PRESETS_STORAGE_KEY, GLOBAL_DEFAULT_STORAGE_KEY, PREFERENCES_STORAGE_KEY, SYNC_TIMESTAMPS_STORAGE_KEY]);
+    userPresets = result[PRESETS_STORAGE_KEY] || {};
+    syncTimestamps = { site: {}, preset: {}, ...result[SYNC_TIMESTAMPS_STORAGE_KEY] };
+    preferences = { ...DEFAULT_PREFERENCES, ...result[PREFERENCES_STORAGE_KEY] };
+    sanitizeSitePreferences();
+    globalDefault = result[GLOBAL_DEFAULT_STORAGE_KEY] || {};
     if (result[STORAGE_KEY]) {
       siteSettings = result[STORAGE_KEY];
       console.log("Loaded site settings from storage:", siteSettings);
@@ -36,16 +75,56 @@ async function loadSettingsFromStorage() {
     console.error("Error loading settings from storage:", error);
     siteSettings = {}; // Fallback to empty object on error
   }
+  syncSnapshots = { site: snapshotEntries(siteSettings), preset: snapshotEntries(userPresets) };
+  await updateContentScripts().catch(error => {
+    console.error("Error registering content scripts:", error);
+  });
+  if (preferences.sync) {
+    await syncAll();
+  }
 }
 
-// Save settings to storage
+// Save settings to storage (and send changed profiles to sync)
 async function saveSettingsToStorage() {
+  const changed = stampChangedEntries(siteSettings, syncSnapshots.site, syncTimestamps.site);
+  // Keys that never sync need no modification time
+  changed.filter(key => !isSyncableKey(key)).forEach(key => delete syncTimestamps.site[key]);
   try {
-    await browser.storage.local.set({ [STORAGE_KEY]: siteSettings });
+    await browser.storage.local.set({ [STORAGE_KEY]: siteSettings, [SYNC_TIMESTAMPS_STORAGE_KEY]: syncTimestamps });
     // console.log("Saved site settings to storage:", siteSettings); // Optional: log on save
   } catch (error) {
     console.error("Error saving settings to storage:", error);
   }
+  await pushToSync('site', changed);
+}
+
+// Save user presets to storage (and send changed presets to sync)
+async function savePresetsToStorage() {
+  const changed = stampChangedEntries(userPresets, syncSnapshots.preset, syncTimestamps.preset);
+  try {
+    await browser.storage.local.set({ [PRESETS_STORAGE_KEY]: userPresets, [SYNC_TIMESTAMPS_STORAGE_KEY]: syncTimestamps });
+  } catch (error) {
+    console.error("Error saving presets to storage:", error);
+  }
+  await pushToSync('preset', changed);
+}
+
+// Save the global default to storage
+async function saveGlobalDefaultToStorage() {
+  try {
+    await browser.storage.local.set({ [GLOBAL_DEFAULT_STORAGE_KEY]: globalDefault });
+  } catch (error) {
+    console.error("Error saving global default to storage:", error);
+  }
+}
+
+// Save preferences to storage
+async function savePreferencesToStorage() {
+  try {
+    await browser.storage.local.set({ [PREFERENCES_STORAGE_KEY]: preferences });
+  } catch (error) {
+    console.error("Error saving preferences to storage:", error);
+  }
 }
 
 // Initialize on install/startup
@@ -61,6 +140,537 @@ browser.runtime.onStartup.addListener(() => {
 });
 
 
+// --- Key Resolution & Tab Notification ---
+
+// Settings used for every key without a profile (global default over factory values)
+function getDefaultSettings() {
+  return normalizeSettings(globalDefault);
+}
+
+// Most specific stored key matching a tab (same resolution as the popup), or null
+function resolveKeyForTab(tab) {
+  return resolveKeyForUrl(tab.url, Object.keys(siteSettings), tab.id);
+}
+
+// Settings a tab gets from its saved profile (or the defaults), without its tab override
+function getSavedSettingsForTab(tab) {
+  return getSettingsForKey(resolveKeyForTab(tab));
+}
+
+// Effective settings for a tab: its most specific matching rule plus any tab override
+function getSettingsForTab(tab) {
+  return applyTabOverride(getSavedSettingsForTab(tab), tab.id);
+}
+
+// Effective settings for a tab id; defaults if the tab is gone
+async function getSettingsForTabId(tabId) {
+  try {
+    return getSettingsForTab(await browser.tabs.get(tabId));
+  } catch (error) {
+    return getDefaultSettings();
+  }
+}
+
+// Look up a preset by id (built-in or user-defined)
+function getPreset(presetId) {
+  if (!presetId) return null;
+  return BUILTIN_PRESETS[presetId] || userPresets[presetId] || null;
+}
+
+// Effective settings for a key (stored values merged over defaults).
+// A profile that references a preset takes its compressor values from that preset.
+function getSettingsForKey(key) {
+  const stored = key ? siteSettings[key] : null;
+  const defaults = getDefaultSettings();
+  if (!stored) return defaults;
+
+  const preset = getPreset(stored.preset);
+  if (preset) {
+    return { ...defaults, ...stored, ...preset.settings };
+  }
+  // Drop dangling references to deleted presets
+  const { preset: _unused, ...values } = stored;
+  return { ...defaults, ...values };
+}
+
+// Keys of all profiles that reference a preset
+function getKeysUsingPreset(presetId) {
+  return Object.keys(siteSettings).filter(key => siteSettings[key].preset === presetId);
+}
+
+// List all presets for the UI, built-ins first
+function listPresets() {
+  const builtin = Object.entries(BUILTIN_PRESETS).map(([id, preset]) => ({ id, builtin: true, ...preset }));
+  const user = Object.entries(userPresets)
+    .map(([id, preset]) => ({ id, builtin: false, ...preset }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return [...builtin, ...user];
+}
+
+// Push the current settings to every open tab whose URL matches one of the
+// patterns in `keys` (whether or not that pattern still wins for the tab).
+// Used when a change does not originate from a specific tab (e.g. the options page).
+async function notifyTabsForKeys(keys) {
+  const patterns = keys.map(parsePattern);
+  await notifyTabs(tab => patterns.some(pattern => patternMatches(pattern, tab.url, tab.id)));
+}
+
+// Push the current settings to every open tab passing `predicate(tab, resolvedKey)`
+async function notifyTabs(predicate) {
+  let tabs = [];
+  try {
+    tabs = await browser.tabs.query({});
+  } catch (error) {
+    console.error("Error querying tabs for settings notification:", error);
+    return;
+  }
+
+  for (const tab of tabs) {
+    const tabKey = resolveKeyForTab(tab);
+    if (!predicate(tab, tabKey)) continue;
+    try {
+      await browser.tabs.sendMessage(tab.id, {
+        type: 'SETTINGS_UPDATED',
+        settings: applyMomentaryBypass(applyTabOverride(getSettingsForKey(tabKey), tab.id), tab.id)
+      });
+    } catch (err) {
+      // Ignore tabs without a content script
+      if (!err.message.includes("Could not establish connection") && !err.message.includes("Receiving end does not exist")) {
+        console.error(`Error sending SETTINGS_UPDATED to tab ${tab.id} for key "${tabKey}":`, err);
+      }
+    }
+  }
+}
+
+// Store new settings for a key and push the result to every open tab the
+// key matches (each gets whatever now applies to it, which may be a more
+// specific rule). Returns the UPDATE_SETTINGS response.
+async function updateSettingsForKey(key, newSettings) {
+  // Update in-memory cache. A profile linked to a preset stores the reference
+  // instead of the compressor values, so later edits to the preset apply to it.
+  const { preset: requestedPreset, ...values } = newSettings;
+  if (requestedPreset && getPreset(requestedPreset)) {
+      COMPRESSOR_FIELDS.forEach(field => delete values[field]);
+      siteSettings[key] = { ...values, preset: requestedPreset };
+  } else {
+      siteSettings[key] = values;
+  }
+  // Persist changes to storage
+  await saveSettingsToStorage();
+
+  // Other tabs of the same site pick up the change right away
+  await notifyTabsForKeys([key]);
+  return { success: true, settings: getSettingsForKey(key) };
+}
+
+// --- Sync ---
+
+// Entries of a sync collection ('site' profiles or user 'preset's)
+function getSyncEntries(collection) {
+  return collection === 'site' ? siteSettings : userPresets;
+}
+
+// Only keys that make sense on other devices leave this one
+function isSyncableId(collection, id) {
+  return collection === 'preset' || isSyncableKey(id);
+}
+
+// Record the outcome of a sync operation and tell an open options page
+// along with the space storage.sync uses (kept from earlier if not given)
+function setSyncStatus(state, message = '', usage = syncStatus.usage) {
+  syncStatus = { state, message, time: Date.now(), usage };
+  if (state === 'error') {
+    console.error("Sync error:", message);
+  }
+  browser.runtime.sendMessage({ type: 'SYNC_STATUS_CHANGED', status: syncStatus }).catch(() => {
+    // No options page open
+  });
+}
+
+// Write the current state of some entries to storage.sync, one item each
+async function pushToSync(collection, ids) {
+  if (!preferences.sync) return;
+  const entries = getSyncEntries(collection);
+  const items = {};
+  const tooLarge = [];
+  ids.filter(id => isSyncableId(collection, id)).forEach(id => {
+    const itemKey = SYNC_PREFIXES[collection] + id;
+    const item = buildSyncItem(entries, syncTimestamps[collection], id);
+    if (getSyncItemSize(itemKey, item) > SYNC_QUOTA_BYTES_PER_ITEM) {
+      tooLarge.push(id);
+    } else {
+      items[itemKey] = item;
+    }
+  });
+
+  let usage;
+  if (Object.keys(items).length > 0) {
+    // storage.sync also limits the total size and number of items, and a
+    // write over either limit fails as a whole
+    try {
+      usage = getSyncUsage(await browser.storage.sync.get(null), items);
+    } catch (error) {
+      setSyncStatus('error', describeSyncError(error));
+      return;
+    }
+    const quotaProblem = describeSyncQuotaProblem(usage);
+    if (quotaProblem) {
+      setSyncStatus('error', quotaProblem);
+      return;
+    }
+    try {
+      await browser.storage.sync.set(items);
+    } catch (error) {
+      setSyncStatus('error', describeSyncError(error));
+      return;
+    }
+  }
+  if (tooLarge.length > 0) {
+    setSyncStatus('error', `Too large to sync: ${tooLarge.join(', ')}`, usage);
+  } else if (usage) {
+    setSyncStatus('ok', '', usage);
+  }
+}
+
+// Apply sync items from another device that are newer than the local
+// entries, save them locally and update the tabs they affect
+async function mergeRemoteItems(items) {
+  const merged = { site: [], preset: [] };
+  Object.entries(items).forEach(([itemKey, item]) => {
+    Object.keys(SYNC_PREFIXES).forEach(collection => {
+      if (!itemKey.startsWith(SYNC_PREFIXES[collection])) return;
+      const id = itemKey.slice(SYNC_PREFIXES[collection].length);
+      if (!isSyncableId(collection, id)) return;
+      if (mergeSyncItem(getSyncEntries(collection), syncSnapshots[collection], syncTimestamps[collection], id, item)) {
+        merged[collection].push(id);
+      }
+    });
+  });
+
+  // Snapshots already match, so saving does not send the entries back
+  if (merged.site.length > 0) await saveSettingsToStorage();
+  if (merged.preset.length > 0) await savePresetsToStorage();
+  const keys = [...merged.site, ...merged.preset.flatMap(getKeysUsingPreset)];
+  if (keys.length > 0) {
+    console.log("Merged synced changes:", merged);
+    await notifyTabsForKeys(keys);
+  }
+}
+
+// Full merge with storage.sync (on startup and when sync is switched on):
+// take newer remote entries, send newer or missing local ones, and drop
+// old deletion markers
+async function syncAll() {
+  const started = Date.now();
+  let remote;
+  try {
+    remote = await browser.storage.sync.get(null);
+  } catch (error) {
+    setSyncStatus('error', describeSyncError(error));
+    return;
+  }
+
+  const now = Date.now();
+  const expired = Object.keys(remote).filter(itemKey => remote[itemKey].deleted && now - remote[itemKey].modified > SYNC_TOMBSTONE_TTL_MS);
+  expired.forEach(itemKey => delete remote[itemKey]);
+  await mergeRemoteItems(remote);
+  // Drop them before sending anything, as they count against the quotas
+  if (expired.length > 0) {
+    try {
+      await browser.storage.sync.remove(expired);
+    } catch (error) {
+      console.warn("Error removing expired sync items:", error);
+    }
+  }
+
+  // Entries from before sync existed get a modification time now, after the
+  // merge, so a version another device already stamped still wins
+  const unversioned = Object.keys(SYNC_PREFIXES).flatMap(collection =>
+    stampUnversionedEntries(getSyncEntries(collection), syncTimestamps[collection], id => isSyncableId(collection, id), now));
+  if (unversioned.length > 0) {
+    try {
+      await browser.storage.local.set({ [SYNC_TIMESTAMPS_STORAGE_KEY]: syncTimestamps });
+    } catch (error) {
+      console.error("Error saving sync timestamps:", error);
+    }
+  }
+
+  for (const collection of Object.keys(SYNC_PREFIXES)) {
+    const entries = getSyncEntries(collection);
+    const timestamps = syncTimestamps[collection];
+    const outgoing = [];
+    Object.keys(timestamps).forEach(id => {
+      // Forget local deletion markers once they have expired everywhere
+      if (!entries.hasOwnProperty(id) && now - timestamps[id] > SYNC_TOMBSTONE_TTL_MS) {
+        delete timestamps[id];
+      }
+    });
+    new Set([...Object.keys(entries), ...Object.keys(timestamps)]).forEach(id => {
+      const item = remote[SYNC_PREFIXES[collection] + id];
+      if (item ? (timestamps[id] || 0) > item.modified : entries.hasOwnProperty(id)) {
+        outgoing.push(id);
+      }
+    });
+    await pushToSync(collection, outgoing);
+  }
+
+  // Report success unless a write failed during this run
+  if (syncStatus.state !== 'error' || syncStatus.time < started) {
+    try {
+      setSyncStatus('ok', '', getSyncUsage(await browser.storage.sync.get(null), {}));
+    } catch (error) {
+      setSyncStatus('error', describeSyncError(error));
+    }
+  }
+}
+
+// Changes written by other devices (our own writes merge as no-ops)
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync' || !preferences.sync) return;
+  const items = {};
+  Object.entries(changes).forEach(([itemKey, change]) => {
+    if (change.newValue) items[itemKey] = change.newValue;
+  });
+  mergeRemoteItems(items).catch(error => console.error("Error merging synced changes:", error));
+});
+
+// --- Tab Overrides ---
+
+// Temporary values for a single tab on top of its saved profile:
+// tabId -> { host, values }. Kept in memory only, so they never reach storage;
+// dropped when the tab closes or navigates to another site.
+const tabOverrides = new Map();
+
+// Host an override belongs to ('' for non-web pages)
+function getOverrideHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+// Settings with a tab's override (if any) applied on top
+function applyTabOverride(settings, tabId) {
+  const override = tabOverrides.get(tabId);
+  return override ? { ...settings, ...override.values } : settings;
+}
+
+// Current override values of a tab, or null
+function getTabOverride(tabId) {
+  const override = tabOverrides.get(tabId);
+  return override ? override.values : null;
+}
+
+// Store the values of `settings` that differ from the tab's saved profile as
+// its override (none left clears it) and push the result to the tab.
+// Returns the override now in effect, or null.
+async function setTabOverride(tab, settings) {
+  const saved = getSavedSettingsForTab(tab);
+  const values = {};
+  Object.keys(settings || {}).forEach(field => {
+    if (!FACTORY_SETTINGS.hasOwnProperty(field) && field !== 'preset') return;
+    // Keep what differs from the profile (a missing and a null preset are equal)
+    if (JSON.stringify(settings[field] ?? null) !== JSON.stringify(saved[field] ?? null)) {
+      values[field] = settings[field];
+    }
+  });
+
+  if (Object.keys(values).length > 0) {
+    tabOverrides.set(tab.id, { host: getOverrideHost(tab.url), values });
+  } else {
+    tabOverrides.delete(tab.id);
+  }
+
+  try {
+    await browser.tabs.sendMessage(tab.id, {
+      type: 'SETTINGS_UPDATED',
+      settings: applyMomentaryBypass(getSettingsForTab(tab), tab.id)
+    });
+  } catch (err) {
+    if (!err.message.includes("Could not establish connection") && !err.message.includes("Receiving end does not exist")) {
+      console.error(`Error sending SETTINGS_UPDATED (tab override) to tab ${tab.id}:`, err);
+    }
+  }
+  return getTabOverride(tab.id);
+}
+
+// --- Site Access ---
+
+// Content scripts, registered for the sites the preferences allow. The Web
+// Audio hook runs in the page world so it wraps connect() before the page's
+// scripts use it.
+const CONTENT_SCRIPTS = [
+  { id: 'evc-webaudio-hook', js: ['js/audio-chain.js', 'js/webaudio-hook.js'], runAt: 'document_start', allFrames: true, world: 'MAIN' },
+  { id: 'evc-webaudio-bridge', js: ['js/webaudio-bridge.js'], runAt: 'document_start', allFrames: true },
+  { id: 'evc-content', js: ['js/settings.js', 'js/audio-chain.js', 'js/content.js'], runAt: 'document_idle', allFrames: true }
+];
+// Registration changes run one after another (the background may load twice at startup)
+let contentScriptUpdate = Promise.resolve();
+
+// Drop list entries that cannot become match patterns, and unknown modes
+function sanitizeSitePreferences() {
+  ['allowedSites', 'blockedSites'].forEach(name => {
+    const list = Array.isArray(preferences[name]) ? preferences[name] : DEFAULT_PREFERENCES[name];
+    preferences[name] = [...new Set(list.filter(isSiteListPattern))];
+  });
+  if (preferences.siteMode !== 'allowlist') preferences.siteMode = 'all';
+}
+
+// Whether the content scripts are meant to run on a URL: { allowed, reason },
+// where reason is 'blocked' or 'not-allowed' when they are not
+function getSiteAccess(url) {
+  if (getMatchingKeys(url, preferences.blockedSites).length > 0) {
+    return { allowed: false, reason: 'blocked' };
+  }
+  if (preferences.siteMode === 'allowlist' && getMatchingKeys(url, preferences.allowedSites).length === 0) {
+    return { allowed: false, reason: 'not-allowed' };
+  }
+  return { allowed: true, reason: null };
+}
+
+// Register the content scripts for the allowed sites (none at all when the
+// allow list is empty in allowlist mode). Pages already open keep whatever
+// they have until they reload. If the new registration fails, the previous
+// one is restored and the returned promise rejects with the error.
+function updateContentScripts() {
+  const update = contentScriptUpdate.then(async () => {
+    const matches = preferences.siteMode === 'allowlist'
+      ? preferences.allowedSites.flatMap(toMatchPatterns)
+      : ['<all_urls>'];
+    const excludeMatches = preferences.blockedSites.flatMap(toMatchPatterns);
+    const scripts = CONTENT_SCRIPTS.map(script => ({
+      ...script,
+      matches,
+      ...(excludeMatches.length > 0 ? { excludeMatches } : {})
+    }));
+
+    // Registrations persist across updates, so every field is compared (an
+    // older version may have registered other files, timing or worlds), and
+    // all of our ids count, including ones this version no longer uses
+    const describe = script => JSON.stringify([
+      script.js, script.runAt, !!script.allFrames, script.world || 'ISOLATED',
+      script.matches || [], script.excludeMatches || []
+    ]);
+    const registered = await browser.scripting.getRegisteredContentScripts();
+    const ownRegistered = registered.filter(script => script.id.startsWith('evc-'));
+    const unchanged = matches.length > 0 && ownRegistered.length === scripts.length && scripts.every(script => {
+      const current = ownRegistered.find(other => other.id === script.id);
+      return current && describe(current) === describe(script);
+    });
+    if (unchanged) return;
+
+    // The ids can only be registered once, so the old set goes first
+    if (ownRegistered.length > 0) {
+      await browser.scripting.unregisterContentScripts({ ids: ownRegistered.map(script => script.id) });
+    }
+    if (matches.length === 0) {
+      console.log("No sites allowed; content scripts unregistered.");
+      return;
+    }
+    try {
+      await browser.scripting.registerContentScripts(scripts);
+    } catch (error) {
+      if (ownRegistered.length > 0) {
+        await browser.scripting.registerContentScripts(ownRegistered).catch(restoreError => {
+          console.error("Error restoring the previous content scripts:", restoreError);
+        });
+      }
+      throw error;
+    }
+    console.log("Content scripts registered for:", matches, "excluding:", excludeMatches);
+  });
+  // Later updates still run after a failed one
+  contentScriptUpdate = update.catch(() => {});
+  return update;
+}
+
+// Pages the content scripts can run on at all
+function isInjectableUrl(url) {
+  return /^(https?|file):/.test(url || '');
+}
+
+// Does the tab's top frame have the content script?
+async function isContentScriptInjected(tabId) {
+  try {
+    await browser.tabs.sendMessage(tabId, { type: 'PING' }, { frameId: 0 });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Site access of a tab for the popup: { supported, allowed, reason, injected }
+async function describeSiteAccess(tab) {
+  return {
+    supported: isInjectableUrl(tab.url),
+    ...getSiteAccess(tab.url),
+    injected: await isContentScriptInjected(tab.id)
+  };
+}
+
+// Let the content scripts run on a tab's site: take it off the block list,
+// add it to the allow list in allowlist mode, and start them in the tab now
+async function enableOnSite(tab) {
+  if (!isInjectableUrl(tab.url)) return describeSiteAccess(tab);
+  const { allowed } = getSiteAccess(tab.url);
+  if (!allowed) {
+    const previousPreferences = preferences;
+    preferences = { ...preferences };
+    preferences.blockedSites = preferences.blockedSites.filter(key =>
+      !patternMatches(parsePattern(key), tab.url, tab.id));
+    if (preferences.siteMode === 'allowlist' && getSiteAccess(tab.url).reason === 'not-allowed') {
+      const url = new URL(tab.url);
+      const key = url.protocol === 'file:' ? tab.url : url.hostname;
+      preferences.allowedSites = [...preferences.allowedSites, key];
+    }
+    try {
+      await updateContentScripts();
+    } catch (error) {
+      preferences = previousPreferences;
+      throw error;
+    }
+    await savePreferencesToStorage();
+  }
+
+  await injectContentScripts(tab.id);
+  return describeSiteAccess(tab);
+}
+
+// Whether a frame already runs a content script, by a top-level name it
+// declares (scripts of one world share their top-level declarations in a frame)
+const CONTENT_SCRIPT_PROBES = {
+  'evc-webaudio-hook': () => typeof EVCAudioChain !== 'undefined',
+  'evc-webaudio-bridge': () => typeof WebAudioHookBridge !== 'undefined',
+  'evc-content': () => typeof EasyVolumeCompressor !== 'undefined'
+};
+
+// Start the content scripts in every frame of a tab that does not run them
+// yet. Running them twice in a frame would redeclare their top-level names,
+// so each frame is first asked which of them it has.
+async function injectContentScripts(tabId) {
+  for (const script of CONTENT_SCRIPTS) {
+    const world = script.world || 'ISOLATED';
+    const probes = await browser.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      world,
+      func: CONTENT_SCRIPT_PROBES[script.id]
+    });
+    // Frames the probe could not run in (e.g. sandboxed) have no result
+    const frameIds = probes.filter(probe => probe.result === false).map(probe => probe.frameId);
+    if (frameIds.length === 0) continue;
+    await browser.scripting.executeScript({
+      target: { tabId, frameIds },
+      world,
+      files: script.js,
+      // Frames still loading get the hook before their scripts create
+      // AudioContexts; connections a page already made to the destination
+      // before that are not rerouted until it reloads
+      injectImmediately: script.runAt === 'document_start'
+    });
+  }
+}
+
 // --- Message Handling ---
 
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -73,11 +683,11 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'GET_SETTINGS':
         if (!key) {
           console.warn("GET_SETTINGS request missing key.");
-          sendResponse({ settings: { ...DEFAULT_SETTINGS } }); // Send default if no key
+          sendResponse({ settings: getDefaultSettings() }); // Send default if no key
           return;
         }
         // Retrieve settings for the specific key, fallback to default if not found
-        const settings = siteSettings[key] ? { ...DEFAULT_SETTINGS, ...siteSettings[key] } : { ...DEFAULT_SETTINGS };
+        const settings = getSettingsForKey(key);
         console.log(`GET_SETTINGS for key "${key}", returning:`, settings);
         sendResponse({ settings });
         break;
@@ -88,78 +698,263 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ error: "Missing key or settings" });
           return;
         }
-        if (!tabId) {
-             console.error("UPDATE_SETTINGS request missing tabId.");
-             sendResponse({ error: "Missing tabId" });
-             return;
+        if (!parsePattern(key)) {
+          console.error(`UPDATE_SETTINGS request with invalid key pattern "${key}".`);
+          sendResponse({ error: "Invalid key pattern" });
+          return;
         }
 
         console.log(`UPDATE_SETTINGS for key "${key}" in tab ${tabId}:`, message.settings);
-        // Update in-memory cache
-        siteSettings[key] = message.settings;
-        // Persist changes to storage
-        await saveSettingsToStorage();
+        sendResponse(await updateSettingsForKey(key, message.settings));
+        break;
 
-        // Notify the relevant content script about the updated settings
+      case 'PREVIEW_SETTINGS':
+        // Values being edited in the popup: applied to its tab only and not
+        // saved (the popup sends UPDATE_SETTINGS once the edit ends)
+        if (!tabId || !message.settings) {
+          console.error("PREVIEW_SETTINGS request missing tabId or settings.");
+          sendResponse({ error: "Missing tabId or settings" });
+          return;
+        }
         try {
-            await browser.tabs.sendMessage(tabId, {
-                type: 'SETTINGS_UPDATED',
-                settings: message.settings // Send the complete new settings object
-            });
-            sendResponse({ success: true });
+          await browser.tabs.sendMessage(tabId, {
+            type: 'SETTINGS_UPDATED',
+            settings: applyMomentaryBypass(normalizeSettings(message.settings), tabId)
+          });
         } catch (err) {
-            // Ignore errors if tab/content script not ready/available
-            if (!err.message.includes("Could not establish connection") && !err.message.includes("Receiving end does not exist")) {
-                console.error(`Error sending SETTINGS_UPDATED to tab ${tabId} for key "${key}":`, err);
-            }
-            // Still respond success as settings were saved, even if tab couldn't be notified
-            sendResponse({ success: true, warning: "Could not notify content script" });
+          // No content script in the tab
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'GET_TAB_OVERRIDE':
+        sendResponse({ override: getTabOverride(tabId) });
+        break;
+
+      case 'SET_TAB_OVERRIDE':
+      case 'CLEAR_TAB_OVERRIDE': {
+        // Edit (or drop) the temporary values of one tab; nothing is saved
+        let overrideTab;
+        try {
+          overrideTab = await browser.tabs.get(tabId);
+        } catch (error) {
+          console.error(`${message.type} request for unknown tab ${tabId}.`);
+          sendResponse({ error: "Unknown tab" });
+          return;
         }
+        const overrideSettings = message.type === 'SET_TAB_OVERRIDE' ? message.settings : null;
+        console.log(`${message.type} for tab ${tabId}:`, overrideSettings);
+        const override = await setTabOverride(overrideTab, overrideSettings);
+        sendResponse({ success: true, override, settings: getSettingsForTab(overrideTab) });
         break;
+      }
 
       case 'RESET_SETTINGS':
         if (!key) {
           console.error("RESET_SETTINGS request missing key.");
-          sendResponse({ error: "Missing key", settings: { ...DEFAULT_SETTINGS } });
+          sendResponse({ error: "Missing key", settings: getDefaultSettings() });
           return;
         }
          if (!tabId) {
              console.error("RESET_SETTINGS request missing tabId.");
-             sendResponse({ error: "Missing tabId", settings: { ...DEFAULT_SETTINGS } });
+             sendResponse({ error: "Missing tabId", settings: getDefaultSettings() });
              return;
         }
 
-        console.log(`RESET_SETTINGS for key "${key}" in tab ${tabId}`);
-        // Remove the specific setting from the cache
-        let settingsExisted = false;
-        if (siteSettings.hasOwnProperty(key)) {
+        console.log(`RESET_SETTINGS for key "${key}" in tab ${tabId}${message.factory ? ' (factory)' : ''}`);
+        let settingsChanged = false;
+        if (message.factory) {
+            // Factory reset pins the factory values to this key, ignoring the global default
+            siteSettings[key] = { ...FACTORY_SETTINGS };
+            settingsChanged = true;
+        } else if (siteSettings.hasOwnProperty(key)) {
+            // Remove the specific setting from the cache so the next matching rule
+            // (or the global default) applies
             delete siteSettings[key];
-            settingsExisted = true;
+            settingsChanged = true;
         }
 
-        // Persist the change (removal) if settings existed
-        if (settingsExisted) {
+        // Persist the change if anything was modified, and move every tab
+        // the key matched over to what applies to it now
+        if (settingsChanged) {
             await saveSettingsToStorage();
+            await notifyTabsForKeys([key]);
         }
+        // Respond with what now applies to the tab
+        sendResponse({ settings: await getSettingsForTabId(tabId) });
+        break;
 
-        // Notify the content script to apply default settings
-         try {
-            await browser.tabs.sendMessage(tabId, {
-                type: 'SETTINGS_UPDATED',
-                settings: { ...DEFAULT_SETTINGS } // Send defaults
-            });
-            // Respond with the default settings after notifying tab
-            sendResponse({ settings: { ...DEFAULT_SETTINGS } });
-        } catch (err) {
-             if (!err.message.includes("Could not establish connection") && !err.message.includes("Receiving end does not exist")) {
-                console.error(`Error sending SETTINGS_UPDATED (reset) to tab ${tabId} for key "${key}":`, err);
-             }
-             // Respond with defaults even if tab couldn't be notified
-             sendResponse({ settings: { ...DEFAULT_SETTINGS }, warning: "Could not notify content script" });
+      // --- Preset Messages ---
+      case 'GET_PRESETS':
+        sendResponse({ presets: listPresets() });
+        break;
+
+      case 'SAVE_PRESET':
+        // Create a new user preset, or overwrite one when an id is given
+        const presetName = (message.name || '').trim();
+        if (!presetName || !message.settings) {
+          console.error("SAVE_PRESET request missing name or settings.");
+          sendResponse({ error: "Missing name or settings" });
+          return;
+        }
+        if (message.id && BUILTIN_PRESETS[message.id]) {
+          sendResponse({ error: "Built-in presets cannot be changed" });
+          return;
+        }
+
+        const presetId = message.id && userPresets[message.id] ? message.id : `user-${Date.now()}`;
+        userPresets[presetId] = { name: presetName, settings: pickCompressorValues(message.settings, getDefaultSettings()) };
+        console.log(`SAVE_PRESET "${presetName}" (${presetId}):`, userPresets[presetId]);
+        await savePresetsToStorage();
+
+        // Every site linked to this preset picks up the new values
+        await notifyTabsForKeys(getKeysUsingPreset(presetId));
+        sendResponse({ success: true, id: presetId, presets: listPresets() });
+        break;
+
+      case 'DELETE_PRESET':
+        if (!message.id || !userPresets[message.id]) {
+          sendResponse({ error: "Unknown user preset" });
+          return;
+        }
+
+        // Profiles linked to the deleted preset keep its values as their own
+        const linkedKeys = getKeysUsingPreset(message.id);
+        linkedKeys.forEach(k => {
+          siteSettings[k] = { ...siteSettings[k], ...userPresets[message.id].settings };
+          delete siteSettings[k].preset;
+        });
+        delete userPresets[message.id];
+        console.log(`DELETE_PRESET ${message.id}, detached keys:`, linkedKeys);
+
+        await savePresetsToStorage();
+        if (linkedKeys.length > 0) {
+          await saveSettingsToStorage();
+        }
+        sendResponse({ success: true, presets: listPresets() });
+        break;
+
+      // --- Options Page Messages ---
+      case 'LIST_SETTINGS':
+        // Return every stored key with its raw values, plus the defaults used to fill gaps
+        const resolvedSettings = {};
+        Object.keys(siteSettings).forEach(k => {
+          resolvedSettings[k] = getSettingsForKey(k);
+        });
+        sendResponse({
+          siteSettings: JSON.parse(JSON.stringify(siteSettings)),
+          resolved: resolvedSettings,
+          presets: listPresets(),
+          defaults: getDefaultSettings()
+        });
+        break;
+
+      // --- Global Default Messages ---
+      case 'GET_GLOBAL_DEFAULT':
+        sendResponse({
+          settings: getDefaultSettings(),
+          factory: { ...FACTORY_SETTINGS },
+          isFactory: Object.keys(globalDefault).length === 0
+        });
+        break;
+
+      case 'SET_GLOBAL_DEFAULT':
+        // A null settings object restores the factory values. Fields the
+        // sender leaves out (the options page only edits some) keep their
+        // current default.
+        globalDefault = message.settings ? normalizeSettings(message.settings, getDefaultSettings()) : {};
+        console.log("SET_GLOBAL_DEFAULT:", globalDefault);
+        await saveGlobalDefaultToStorage();
+
+        // Every tab without its own profile follows the global default
+        await notifyTabs((tab, tabKey) => tabKey === null);
+        sendResponse({ success: true, settings: getDefaultSettings() });
+        break;
+
+      // --- Preferences ---
+      case 'GET_SYNC_STATUS':
+        sendResponse({ status: { ...syncStatus } });
+        break;
+
+      case 'GET_PREFERENCES':
+        sendResponse({ preferences: { ...preferences } });
+        break;
+
+      case 'SET_PREFERENCES':
+        if (!message.preferences) {
+          sendResponse({ error: "Missing preferences" });
+          return;
+        }
+        // Only known preferences of the right type are kept
+        const wasSyncing = preferences.sync;
+        const previousPreferences = preferences;
+        preferences = { ...preferences };
+        Object.keys(DEFAULT_PREFERENCES).forEach(name => {
+          if (typeof message.preferences[name] === typeof DEFAULT_PREFERENCES[name]) {
+            preferences[name] = message.preferences[name];
+          }
+        });
+        sanitizeSitePreferences();
+        // Nothing is saved when the content scripts cannot be registered for the new site lists
+        try {
+          await updateContentScripts();
+        } catch (error) {
+          console.error("Error registering content scripts:", error);
+          preferences = previousPreferences;
+          sendResponse({ error: `Could not register the content scripts: ${error.message}`, preferences: { ...preferences } });
+          return;
+        }
+        await savePreferencesToStorage();
+        tabStatus.forEach((frames, statusTabId) => updateBadge(statusTabId));
+        if (preferences.sync && !wasSyncing) {
+          await syncAll();
+        } else if (!preferences.sync && wasSyncing) {
+          setSyncStatus('off');
         }
+        sendResponse({ success: true, preferences: { ...preferences } });
+        break;
+
+      case 'GET_SITE_ACCESS':
+      case 'ENABLE_ON_SITE': {
+        if (!tabId) {
+          sendResponse({ error: "Missing tabId" });
+          return;
+        }
+        const accessTab = await browser.tabs.get(tabId);
+        const access = message.type === 'ENABLE_ON_SITE'
+          ? await enableOnSite(accessTab)
+          : await describeSiteAccess(accessTab);
+        sendResponse({ success: true, access, preferences: { ...preferences } });
+        break;
+      }
+
+      case 'DELETE_SETTINGS':
+        if (!Array.isArray(message.keys) || message.keys.length === 0) {
+          console.error("DELETE_SETTINGS request missing keys.");
+          sendResponse({ error: "Missing keys" });
+          return;
+        }
+
+        const deletedKeys = message.keys.filter(k => siteSettings.hasOwnProperty(k));
+        deletedKeys.forEach(k => delete siteSettings[k]);
+        console.log(`DELETE_SETTINGS removed ${deletedKeys.length} key(s):`, deletedKeys);
+
+        if (deletedKeys.length > 0) {
+          await saveSettingsToStorage();
+          // Tabs using the deleted keys fall back to defaults
+          await notifyTabsForKeys(deletedKeys);
+        }
+        sendResponse({ success: true, deleted: deletedKeys });
         break;
 
       // --- Content Script Specific Messages ---
+      case 'TAB_STATUS':
+        // Processing state of one frame, reported continuously for the badge
+        if (sender.tab && sender.tab.id !== undefined) {
+          setFrameStatus(sender.tab.id, sender.frameId || 0, message.status);
+        }
+        break;
+
       case 'REQUEST_INITIAL_SETTINGS':
         // Content script requests settings when it loads
         if (!sender.tab || !sender.tab.url || !sender.tab.id) {
@@ -169,26 +964,12 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
         const contentTabId = sender.tab.id;
         const contentUrl = sender.tab.url;
-        let contentKey = null;
-        try {
-            // Reuse the key generation logic from popup
-            const urlObj = new URL(contentUrl);
-            if (urlObj.protocol === 'file:') {
-                contentKey = contentUrl; // Use full file URL
-            } else if (urlObj.protocol.startsWith('http')) {
-                contentKey = urlObj.hostname; // Use hostname
-            }
-            // Add handling for other protocols if needed, otherwise key remains null
-        } catch (e) {
-            console.warn(`Could not determine key for URL: ${contentUrl}`, e);
-        }
-
-        // If no domain/file key, maybe use tab-id? Or just send defaults?
-        // For now, send specific settings if key exists, otherwise defaults.
-        // Let's use the same logic as GET_SETTINGS
-        const initialSettings = contentKey && siteSettings[contentKey]
-                                ? { ...DEFAULT_SETTINGS, ...siteSettings[contentKey] }
-                                : { ...DEFAULT_SETTINGS };
+        // Resolve the most specific matching rule, as the popup does
+        const contentKey = resolveKeyForTab(sender.tab);
+
+        // Send the matching rule's settings (or defaults if no rule matches)
+        // with the tab's temporary override (and a running bypass) applied
+        const initialSettings = applyMomentaryBypass(applyTabOverride(getSettingsForKey(contentKey), contentTabId), contentTabId);
 
         console.log(`Content script in tab ${contentTabId} (URL: ${contentUrl}, Key: ${contentKey}) requested initial settings. Sending:`, initialSettings);
         sendResponse({ settings: initialSettings });
@@ -216,10 +997,260 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// --- Toolbar Badge ---
+
+// Frames stop counting when they have not reported for this long (they send
+// a heartbeat while they have media)
+const FRAME_STATUS_TIMEOUT_MS = 12000;
+const BADGE_COLORS = {
+  off: '#888888',
+  idle: '#9a9ac8',
+  on: '#4a4a9e'
+};
+
+// Latest status per tab and frame: tabId -> Map(frameId -> { status, time })
+const tabStatus = new Map();
+
+// Record a frame's status and refresh its tab's badge
+function setFrameStatus(tabId, frameId, status) {
+  if (!tabStatus.has(tabId)) tabStatus.set(tabId, new Map());
+  tabStatus.get(tabId).set(frameId, { status, time: Date.now() });
+  updateBadge(tabId);
+}
+
+// Forget a tab's frames (navigation or close) and clear its badge
+function clearTabStatus(tabId) {
+  if (!tabStatus.delete(tabId)) return;
+  browser.action.setBadgeText({ tabId, text: '' }).catch(() => {
+    // Tab already closed
+  });
+  browser.action.setTitle({ tabId, title: null }).catch(() => {});
+}
+
+// Drop the tab's frames that have not reported within the timeout
+function pruneStaleFrames(tabId) {
+  const now = Date.now();
+  const frames = tabStatus.get(tabId);
+  frames.forEach(({ time }, frameId) => {
+    if (now - time > FRAME_STATUS_TIMEOUT_MS) frames.delete(frameId);
+  });
+}
+
+// Combine the tab's frames into one state: 'off', 'idle' (nothing playing)
+// or 'on', with the element count and the largest gain reduction
+function getTabState(tabId) {
+  const state = { enabled: false, elements: 0, playing: 0, reduction: 0 };
+  tabStatus.get(tabId).forEach(({ status }) => {
+    state.enabled = state.enabled || status.enabled;
+    state.elements += status.elements;
+    state.playing += status.playing;
+    state.reduction = Math.max(state.reduction, status.reduction);
+  });
+  state.mode = !state.enabled ? 'off' : state.playing > 0 ? 'on' : 'idle';
+  return state;
+}
+
+// Show the tab's state on the toolbar badge and in the button's tooltip
+function updateBadge(tabId) {
+  if (!tabStatus.has(tabId)) return;
+  // Repaints from stored state (e.g. after a preferences change) must not
+  // count frames that went quiet; with none left there is nothing to show
+  pruneStaleFrames(tabId);
+  if (tabStatus.get(tabId).size === 0) {
+    clearTabStatus(tabId);
+    return;
+  }
+  const state = getTabState(tabId);
+
+  let text = '';
+  if (state.mode === 'off') {
+    text = 'off';
+  } else if (state.mode === 'on' && preferences.badgeReduction && state.reduction >= 1) {
+    text = `-${Math.round(state.reduction)}`;
+  } else if (state.elements > 0) {
+    text = String(state.elements);
+  }
+
+  const details = [state.mode === 'off' ? 'off' : state.mode === 'on' ? 'processing' : 'idle'];
+  details.push(`${state.elements} media element${state.elements === 1 ? '' : 's'}`);
+  if (state.mode === 'on') details.push(`${Math.round(state.reduction)} dB reduction`);
+
+  Promise.all([
+    browser.action.setBadgeText({ tabId, text }),
+    browser.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS[state.mode] }),
+    browser.action.setBadgeTextColor({ tabId, color: '#ffffff' }),
+    browser.action.setTitle({ tabId, title: `Easy Volume Compressor (${details.join(', ')})` })
+  ]).catch(() => {
+    // Tab closed while updating
+  });
+}
+
+// A new page starts without media
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    clearTabStatus(tabId);
+  }
+  // A tab override belongs to the site it was made on
+  const override = tabOverrides.get(tabId);
+  if (override && changeInfo.url && getOverrideHost(changeInfo.url) !== override.host) {
+    console.log(`Tab ${tabId} left ${override.host || 'its page'}, dropping its tab override.`);
+    tabOverrides.delete(tabId);
+  }
+});
+
+// --- Keyboard Shortcuts ---
+
+// How long a momentary bypass lasts (ms)
+const MOMENTARY_BYPASS_MS = 3000;
+// Output gain range of the popup slider (dB)
+const OUTPUT_GAIN_RANGE = { min: -10, max: 10 };
+
+// Tabs in momentary bypass -> timer that restores processing. Every settings
+// push to such a tab goes through applyMomentaryBypass, so a save or sync
+// during the bypass does not end it early.
+const bypassTimers = new Map();
+
+// Settings for a tab's content scripts, switched off while it is in a momentary bypass
+function applyMomentaryBypass(settings, tabId) {
+  return bypassTimers.has(tabId) ? { ...settings, enabled: false } : settings;
+}
+
+// Show a short confirmation in the tab's top frame
+function showToast(tabId, text) {
+  browser.tabs.sendMessage(tabId, { type: 'SHOW_TOAST', text }, { frameId: 0 }).catch(() => {
+    // No content script (e.g. about: pages)
+  });
+}
+
+// The key a shortcut edits: the rule that applies to the tab, or a new
+// profile for its site (as the popup would create)
+function getCommandKey(tab) {
+  const matchedKey = resolveKeyForTab(tab);
+  if (matchedKey) return matchedKey;
+  const candidates = getScopeCandidates(tab.url, tab.id);
+  const site = candidates.find(candidate => candidate.scope === 'site');
+  return (site || candidates[0]).key;
+}
+
+// Readable name of a key for toasts
+function describeKey(key) {
+  const pattern = parsePattern(key);
+  return pattern && pattern.type === 'tab' ? 'this tab' : key;
+}
+
+// Send a tab its settings with the momentary bypass state applied, without
+// storing anything
+async function sendBypassState(tabId) {
+  try {
+    const tab = await browser.tabs.get(tabId);
+    await browser.tabs.sendMessage(tabId, {
+      type: 'SETTINGS_UPDATED',
+      settings: applyMomentaryBypass(getSettingsForTab(tab), tabId)
+    });
+  } catch (err) {
+    // Tab closed or no content script
+  }
+}
+
+// End a tab's momentary bypass (early or when its time is up)
+async function endMomentaryBypass(tabId) {
+  if (!bypassTimers.has(tabId)) return;
+  clearTimeout(bypassTimers.get(tabId));
+  bypassTimers.delete(tabId);
+  await sendBypassState(tabId);
+  showToast(tabId, 'Bypass off');
+}
+
+// Bypass processing for a few seconds to compare with the original sound;
+// pressing the shortcut again ends the bypass early. Not saved.
+async function toggleMomentaryBypass(tab) {
+  if (bypassTimers.has(tab.id)) {
+    await endMomentaryBypass(tab.id);
+    return;
+  }
+
+  bypassTimers.set(tab.id, setTimeout(() => endMomentaryBypass(tab.id), MOMENTARY_BYPASS_MS));
+  await sendBypassState(tab.id);
+  showToast(tab.id, `Bypassed for ${MOMENTARY_BYPASS_MS / 1000} s`);
+}
+
+// Apply a shortcut to the active tab, starting from the settings the tab
+// actually uses. Changes to fields the tab override holds go into the
+// override; others are saved through the same path as UPDATE_SETTINGS. Either
+// way they are confirmed with an on-page toast.
+browser.commands.onCommand.addListener(async (command) => {
+  let tab;
+  try {
+    [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  } catch (error) {
+    console.error("Error finding the active tab for a shortcut:", error);
+    return;
+  }
+  if (!tab || !tab.url) return;
+
+  if (command === 'momentary-bypass') {
+    await toggleMomentaryBypass(tab);
+    return;
+  }
+
+  const key = getCommandKey(tab);
+  const current = getSettingsForTab(tab);
+  const override = getTabOverride(tab.id);
+  let changes;
+  let toast;
+
+  switch (command) {
+    case 'toggle-compression':
+      changes = { enabled: !current.enabled };
+      toast = `Compression ${changes.enabled ? 'on' : 'off'}`;
+      break;
+
+    case 'output-gain-up':
+    case 'output-gain-down': {
+      const step = command === 'output-gain-up' ? 1 : -1;
+      const outputGain = Math.max(OUTPUT_GAIN_RANGE.min, Math.min(OUTPUT_GAIN_RANGE.max, Math.round(current.outputGain) + step));
+      // Like moving the popup slider, this detaches the site from its preset
+      changes = { preset: null, outputGain };
+      toast = `Output gain ${outputGain > 0 ? '+' : ''}${outputGain} dB`;
+      break;
+    }
+
+    case 'cycle-preset': {
+      const presets = listPresets();
+      const index = presets.findIndex(preset => preset.id === current.preset);
+      const next = presets[(index + 1) % presets.length];
+      changes = { ...next.settings, preset: next.id };
+      toast = `Preset: ${next.name}`;
+      break;
+    }
+
+    default:
+      console.log("Received unknown command:", command);
+      return;
+  }
+
+  if (override && Object.keys(changes).some(field => override.hasOwnProperty(field))) {
+    console.log(`Shortcut "${command}" for the tab override of tab ${tab.id}`);
+    await setTabOverride(tab, { ...current, ...changes });
+    showToast(tab.id, `${toast} (this tab only)`);
+    return;
+  }
+
+  console.log(`Shortcut "${command}" for key "${key}" in tab ${tab.id}`);
+  await updateSettingsForKey(key, { ...getSavedSettingsForTab(tab), ...changes });
+  showToast(tab.id, command === 'toggle-compression' ? `${toast} (${describeKey(key)})` : toast);
+});
+
 // --- Tab Management (Optional but Recommended) ---
 
 // Clean up tab-specific settings when a tab is closed
 browser.tabs.onRemoved.addListener((tabId, removeInfo) => {
+    tabStatus.delete(tabId);
+    tabOverrides.delete(tabId);
+    if (bypassTimers.has(tabId)) {
+        clearTimeout(bypassTimers.get(tabId));
+        bypassTimers.delete(tabId);
+    }
     const tabKey = `tab-${tabId}`;
     if (siteSettings.hasOwnProperty(tabKey)) {
         console.log(`Tab ${tabId} closed, removing temporary settings for key: ${tabKey}`);
@@ -3,9 +3,35 @@
  * Easy Volume Compressor - Content Script
  *
  * This script detects audio elements and applies compression to them
- * using the Web Audio API
+ * using the Web Audio API. It runs in every frame of a tab; each frame
+ * processes its own media and reports its own levels to the popup.
+ *
+ * The AudioContext is created when the first element is routed and resumed
+ * when media plays or the user interacts with the page (it starts suspended
+ * before a user gesture). Elements removed from the page have their graphs
+ * torn down; the context is suspended while nothing plays and closed once
+ * no captured element is left.
  */
 
+// Toolbar badge status: checked this often, and re-sent at least this often
+// while the frame has media (ms)
+const STATUS_INTERVAL_MS = 1000;
+const STATUS_HEARTBEAT_MS = 5000;
+
+// Meters stream to the popup over a port with this name, in batches sent
+// this often (ms), at a frame rate (frames per second) within this range
+const METER_PORT_NAME = 'evc-meter';
+const METER_BATCH_MS = 100;
+const METER_RATE_RANGE = { min: 5, max: 60, default: 30 };
+
+// Routed elements are released once they have stayed out of the page this
+// long (pages often move elements by removing and re-inserting them) (ms)
+const RELEASE_DELAY_MS = 5000;
+// The AudioContext is suspended when no media has played for this long, and
+// closed after this long if no captured element is left (ms)
+const IDLE_SUSPEND_MS = 30000;
+const IDLE_CLOSE_MS = 120000;
+
 // Audio processing class
 class EasyVolumeCompressor {
   constructor() {
@@ -15,8 +41,27 @@ class EasyVolumeCompressor {
     this.audioContext = null;
     this.levelAnalyzers = new Map(); // Store analyzers for level measurement
     this.reductionValues = new Map(); // Store reduction values from compressors
-    this.isMonitoringLevel = false;
-    this.isPopupOpen = false;
+    this.meterPort = null; // Port to the popup while it shows this tab's meters
+    this.mutationObserver = null;
+    this.addedNodes = new Set(); // Nodes added since the last scan, see queueAddedNode
+    this.addedNodesScheduled = false;
+    this.observedShadowRoots = new WeakSet(); // Open shadow roots already being observed
+    this.webAudioBridge = webAudioBridge; // Page-owned AudioContext processing (webaudio-bridge.js)
+    this.pendingElements = new WeakSet(); // Elements waiting for a source or a CORS check
+    this.skippedElements = new WeakSet(); // Cross-origin elements left alone until their source changes
+    this.mediaIssues = new Map(); // Elements that could not be processed -> { reason, message }
+    this.silentSince = new WeakMap(); // Routed element -> playback time its input went silent
+    this.elementIds = new Map(); // Routed element -> id used by the popup's element list
+    this.listenedElements = new WeakSet(); // Elements our media event listeners are attached to
+    this.releasedSources = new WeakMap(); // Released element -> its source node (an element is captured only once)
+    this.releasedElements = new Set(); // WeakRefs to released elements that may still come back
+    this.elementOverrides = new WeakMap(); // Element -> its per-element { bypass, trim }, kept across releases
+    this.releaseTimer = null;
+    this.lastPlaybackTime = Date.now(); // Last time a routed element was seen playing
+    this.nextElementId = 1;
+    this.toast = null; // On-page toast for keyboard shortcuts, created on first use
+    this.lastStatus = null; // Last status sent for the toolbar badge (JSON)
+    this.lastStatusTime = 0;
 
     // Request initial settings from background script
     this.requestInitialSettings();
@@ -26,19 +71,25 @@ class EasyVolumeCompressor {
       if (message.type === 'SETTINGS_UPDATED') {
         this.settings = message.settings;
         this.updateAllCompressors();
+        this.webAudioBridge.applySettings(this.settings);
+        this.reportStatus();
       } else if (message.type === 'START_LEVEL_MONITORING') {
-        this.isPopupOpen = true;
-        this.startLevelMonitoring();
+        this.startLevelMonitoring(message.rate);
         sendResponse({ success: true });
-      } else if (message.type === 'STOP_LEVEL_MONITORING') {
-        this.isPopupOpen = false;
-        this.stopLevelMonitoring();
+      } else if (message.type === 'SET_ELEMENT_OVERRIDE') {
+        this.setElementOverride(message.elementId, message.overrides);
+      } else if (message.type === 'HIGHLIGHT_ELEMENT') {
+        this.highlightElement(message.elementId);
+      } else if (message.type === 'SHOW_TOAST') {
+        this.showToast(message.text);
+      } else if (message.type === 'PING') {
+        // The background checks whether this page has the content script
         sendResponse({ success: true });
       }
       // Indicate that the response function will be called asynchronously
       // only if we intend to send a response from this listener.
-      // For START/STOP monitoring, we do send a response.
-      if (message.type === 'START_LEVEL_MONITORING' || message.type === 'STOP_LEVEL_MONITORING') {
+      // For START monitoring and PING, we do send a response.
+      if (message.type === 'START_LEVEL_MONITORING' || message.type === 'PING') {
           return true;
       }
       // For SETTINGS_UPDATED, we don't send a response back.
@@ -56,13 +107,13 @@ class EasyVolumeCompressor {
               this.initialize(); // Initialize after receiving settings
           } else {
               console.error("Failed to get initial settings, using defaults.", response);
-              this.settings = { ...DEFAULT_SETTINGS }; // Fallback to defaults
+              this.settings = { ...FACTORY_SETTINGS }; // Fallback to factory defaults (settings.js)
               this.initialize();
           }
       } catch (error) {
           console.error("Error requesting initial settings:", error);
           // Fallback to defaults if background script is unavailable or throws error
-          this.settings = { ...DEFAULT_SETTINGS };
+          this.settings = { ...FACTORY_SETTINGS };
           this.initialize();
       }
   }
@@ -72,53 +123,132 @@ class EasyVolumeCompressor {
   initialize() {
     if (this.initialized) return;
 
-    // Create audio context
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    // The audio context is created with the first routed element. Resuming
+    // it needs a user gesture if it was created before one.
+    ['pointerdown', 'keydown'].forEach(type => {
+      window.addEventListener(type, () => this.resumeAudioContext(), { capture: true, passive: true });
+    });
+
+    // Set up mutation observer first so shadow roots found during the
+    // initial scan can be observed too
+    this.setupMutationObserver();
 
     // Process all existing media elements
     this.processExistingMediaElements();
 
-    // Set up mutation observer to detect new media elements
-    this.setupMutationObserver();
+    // Keep the toolbar badge up to date, whether or not the popup is open,
+    // and suspend or close the audio context when it is not needed
+    setInterval(() => {
+      this.reportStatus();
+      this.checkIdle();
+    }, STATUS_INTERVAL_MS);
+    this.reportStatus();
 
     this.initialized = true;
   }
 
-  // Process all existing media elements on the page
+  // Process all existing media elements on the page, including open shadow roots
   processExistingMediaElements() {
-    // Find all video and audio elements
-    const mediaElements = document.querySelectorAll('video, audio');
-    mediaElements.forEach(element => {
+    this.processNode(document.documentElement);
+  }
+
+  // Process a node and everything below it: media elements in the light DOM
+  // and inside any open shadow roots (which are also observed for changes)
+  processNode(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
+
+    this.findMediaElements(node).forEach(element => {
       this.setupAudioProcessing(element);
     });
+
+    // Custom elements may attach their shadow root only once they are upgraded,
+    // so look at them again after the current task
+    if (node.localName.includes('-') && !node.shadowRoot) {
+      setTimeout(() => {
+        if (node.shadowRoot) this.processNode(node);
+      }, 0);
+    }
+  }
+
+  // Collect media elements under a root, descending into open shadow roots
+  findMediaElements(root, found = []) {
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      const name = root.nodeName.toLowerCase();
+      if (name === 'video' || name === 'audio') {
+        found.push(root);
+      }
+      if (root.shadowRoot) {
+        this.observeShadowRoot(root.shadowRoot);
+        this.findMediaElements(root.shadowRoot, found);
+      }
+    }
+
+    root.querySelectorAll('video, audio').forEach(element => found.push(element));
+    root.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) {
+        this.observeShadowRoot(element.shadowRoot);
+        this.findMediaElements(element.shadowRoot, found);
+      }
+    });
+    return found;
   }
 
   // Set up mutation observer to detect new media elements
   setupMutationObserver() {
-    const observer = new MutationObserver(mutations => {
+    this.mutationObserver = new MutationObserver(mutations => {
       mutations.forEach(mutation => {
         if (mutation.addedNodes) {
-          mutation.addedNodes.forEach(node => {
-            // Check if node is an element
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Check if node is a media element
-              if (node.nodeName.toLowerCase() === 'video' || node.nodeName.toLowerCase() === 'audio') {
-                this.setupAudioProcessing(node);
-              } else {
-                // Check for media elements inside the added node
-                const mediaElements = node.querySelectorAll('video, audio');
-                mediaElements.forEach(element => {
-                  this.setupAudioProcessing(element);
-                });
-              }
-            }
-          });
+          mutation.addedNodes.forEach(node => this.queueAddedNode(node));
+        }
+        if (mutation.removedNodes && mutation.removedNodes.length > 0) {
+          this.scheduleRelease();
         }
       });
     });
 
     // Observe changes in the entire document
-    observer.observe(document.documentElement, {
+    this.mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true
+    });
+  }
+
+  // Scan added nodes once per animation frame (or on a timer while the page
+  // is hidden) instead of once per mutation, so pages that insert a subtree
+  // piece by piece do not have it searched again for every piece
+  queueAddedNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    this.addedNodes.add(node);
+    if (this.addedNodesScheduled) return;
+    this.addedNodesScheduled = true;
+    const flush = () => this.processAddedNodes();
+    if (document.hidden) {
+      setTimeout(flush, 100);
+    } else {
+      requestAnimationFrame(flush);
+    }
+  }
+
+  // Process the queued nodes, skipping those inside another queued node
+  // (scanning the outer one covers them)
+  processAddedNodes() {
+    const nodes = this.addedNodes;
+    this.addedNodes = new Set();
+    this.addedNodesScheduled = false;
+    nodes.forEach(node => {
+      for (let parent = node.parentNode; parent; parent = parent.parentNode || parent.host) {
+        if (nodes.has(parent)) return;
+      }
+      this.processNode(node);
+    });
+  }
+
+  // Watch an open shadow root for new media elements (mutations inside
+  // shadow trees are not reported to the document observer)
+  observeShadowRoot(shadowRoot) {
+    if (!this.mutationObserver || this.observedShadowRoots.has(shadowRoot)) return;
+    this.observedShadowRoots.add(shadowRoot);
+    this.mutationObserver.observe(shadowRoot, {
       childList: true,
       subtree: true
     });
@@ -126,171 +256,675 @@ class EasyVolumeCompressor {
 
   // Set up audio processing for a media element
   setupAudioProcessing(mediaElement) {
-    // Skip if already processed
-    if (this.mediaElements.has(mediaElement)) return;
+    // Skip if already processed or waiting
+    if (this.mediaElements.has(mediaElement) || this.pendingElements.has(mediaElement) ||
+        this.skippedElements.has(mediaElement)) return;
+
+    // An element released after leaving the page is still captured by its
+    // source node and silent without a chain, so it gets a new one right away
+    const releasedSource = this.releasedSources.get(mediaElement);
+    if (!releasedSource) {
+      // Web Audio outputs silence for cross-origin media loaded without CORS,
+      // and an element cannot be unrouted once captured, so check first
+      const origin = this.getSourceOrigin(mediaElement);
+      if (origin === 'unknown') {
+        // No source yet: decide once the element starts loading one
+        this.pendingElements.add(mediaElement);
+        mediaElement.addEventListener('loadstart', () => {
+          this.pendingElements.delete(mediaElement);
+          this.setupAudioProcessing(mediaElement);
+        }, { once: true });
+        return;
+      }
+      if (origin === 'cross-origin') {
+        this.handleCrossOriginElement(mediaElement);
+        return;
+      }
+    }
 
     // Create a new processor for this media element
     try {
-      const source = this.audioContext.createMediaElementSource(mediaElement);
-
-      // Create compressor node
-      const compressor = this.audioContext.createDynamicsCompressor();
-      this.configureCompressor(compressor);
-
-      // Create gain node for output gain control
-      const gainNode = this.audioContext.createGain();
-      this.updateOutputGain(gainNode);
+      const source = releasedSource || this.getAudioContext().createMediaElementSource(mediaElement);
+      if (releasedSource) this.forgetReleasedElement(mediaElement);
 
-      // Create analyzer for level metering
-      const analyzer = this.audioContext.createAnalyser();
-      analyzer.fftSize = 1024;
-      analyzer.smoothingTimeConstant = 0.3;
-
-      // Connect the nodes
-      source.connect(compressor);
-      compressor.connect(gainNode);
-
-      // Connect analyzer after the gain node to measure the final output
-      gainNode.connect(analyzer);
-
-      // Connect to output or bypass based on enabled setting
-      if (this.settings.enabled) {
-        gainNode.connect(this.audioContext.destination);
-      } else {
-        source.connect(this.audioContext.destination);
-      }
+      // Build the compressor/gain chain (audio-chain.js) and route it
+      // to the output or bypass it based on the enabled setting
+      const chain = EVCAudioChain.createChain(source.context, source, this.settings);
+      // A released element that comes back keeps its bypass and trim
+      const overrides = this.elementOverrides.get(mediaElement);
+      if (overrides) EVCAudioChain.setOverrides(chain, overrides);
 
       // Store nodes for later reference
-      this.mediaElements.set(mediaElement, {
-        source,
-        compressor,
-        gainNode,
-        connected: this.settings.enabled
-      });
+      this.mediaElements.set(mediaElement, chain);
+      this.elementIds.set(mediaElement, this.nextElementId++);
 
       // Store analyzer separately
-      this.levelAnalyzers.set(mediaElement, analyzer);
+      this.levelAnalyzers.set(mediaElement, chain.analyzer);
 
       // Initialize reduction value tracking
       this.reductionValues.set(mediaElement, 0);
 
+      // Watch for sources that turn out silent or change to a cross-origin URL,
+      // and resume the context when playback starts
+      if (!this.listenedElements.has(mediaElement)) {
+        this.listenedElements.add(mediaElement);
+        mediaElement.addEventListener('timeupdate', () => this.checkForSilence(mediaElement));
+        mediaElement.addEventListener('loadstart', () => this.checkSourceChange(mediaElement));
+        mediaElement.addEventListener('loadstart', () => this.resetLoudness(mediaElement));
+        mediaElement.addEventListener('emptied', () => this.resetLoudness(mediaElement));
+        mediaElement.addEventListener('play', () => this.handlePlay(mediaElement));
+        mediaElement.addEventListener('pause', () => this.handleStop(mediaElement));
+        mediaElement.addEventListener('ended', () => this.handleStop(mediaElement));
+      }
+      if (!mediaElement.paused) this.handlePlay(mediaElement);
+      this.clearMediaIssue(mediaElement);
+
     } catch (error) {
       console.error('Failed to set up audio processing:', error);
+      this.setMediaIssue(mediaElement, 'error', `Could not be processed: ${error.message}`);
+    }
+  }
+
+  // --- Cross-origin source handling ---
+
+  // Classify an element's source: 'same-origin' (or CORS-free like blob: and
+  // MediaStreams), 'cors' (loaded with the crossorigin attribute),
+  // 'cross-origin' (would be silenced by Web Audio) or 'unknown' (no source yet)
+  getSourceOrigin(mediaElement) {
+    if (mediaElement.srcObject) return 'same-origin';
+
+    const sourceChild = mediaElement.querySelector('source[src]');
+    const src = mediaElement.currentSrc || mediaElement.src || (sourceChild && sourceChild.src);
+    if (!src) return 'unknown';
+
+    let url;
+    try {
+      url = new URL(src, document.baseURI);
+    } catch (e) {
+      return 'unknown';
+    }
+    if (url.protocol === 'blob:' || url.protocol === 'data:' || url.origin === location.origin) {
+      return 'same-origin';
+    }
+    return mediaElement.crossOrigin !== null ? 'cors' : 'cross-origin';
+  }
+
+  // Leave a cross-origin element untouched, unless its server allows CORS,
+  // in which case reload it with crossorigin="anonymous" and process it
+  async handleCrossOriginElement(mediaElement) {
+    this.pendingElements.add(mediaElement);
+    this.setMediaIssue(mediaElement, 'cross-origin',
+      'Cross-origin media without CORS; left unprocessed so it stays audible');
+
+    const src = mediaElement.currentSrc || mediaElement.src;
+    if (!this.canReloadWithCors(mediaElement, src) || !(await this.probeCors(src))) {
+      this.pendingElements.delete(mediaElement);
+      this.recheckOnSourceChange(mediaElement);
+      return;
+    }
+
+    this.setMediaIssue(mediaElement, 'reloading', 'Server allows CORS; reloading with crossorigin');
+    const reloaded = await this.reloadWithCors(mediaElement);
+    this.pendingElements.delete(mediaElement);
+
+    if (reloaded) {
+      this.setupAudioProcessing(mediaElement);
+    } else {
+      this.setMediaIssue(mediaElement, 'cross-origin',
+        'Cross-origin media; reloading with CORS failed, left unprocessed');
+      this.recheckOnSourceChange(mediaElement);
+    }
+  }
+
+  // Classify a skipped element again once it loads another source, which may
+  // be same-origin or allow CORS. Reloads of the same source (including our
+  // own failed CORS reload) keep it skipped.
+  recheckOnSourceChange(mediaElement) {
+    if (this.skippedElements.has(mediaElement)) return;
+    this.skippedElements.add(mediaElement);
+    const skippedSrc = mediaElement.currentSrc || mediaElement.src;
+    const recheck = () => {
+      if (!mediaElement.srcObject && (mediaElement.currentSrc || mediaElement.src) === skippedSrc) return;
+      mediaElement.removeEventListener('loadstart', recheck);
+      mediaElement.removeEventListener('emptied', recheck);
+      this.skippedElements.delete(mediaElement);
+      this.clearMediaIssue(mediaElement);
+      this.setupAudioProcessing(mediaElement);
+    };
+    mediaElement.addEventListener('loadstart', recheck);
+    mediaElement.addEventListener('emptied', recheck);
+  }
+
+  // Only plain http(s) sources the page has not configured itself are reloaded
+  canReloadWithCors(mediaElement, src) {
+    return !!src && /^https?:/.test(src) && mediaElement.crossOrigin === null && !mediaElement.srcObject;
+  }
+
+  // Check whether the server sends CORS headers for this URL. Uses the page's
+  // fetch (content.fetch) so the request is subject to CORS like the element's
+  // would be; the body is not downloaded.
+  async probeCors(src) {
+    const pageFetch = typeof content !== 'undefined' && content.fetch ? content.fetch.bind(content) : fetch;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    try {
+      const response = await pageFetch(src, { mode: 'cors', credentials: 'omit', signal: controller.signal });
+      return response.ok || response.status === 206;
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timeout);
+      controller.abort(); // Stop downloading the body
+    }
+  }
+
+  // Reload an element with crossorigin="anonymous", keeping its position and play state.
+  // Resolves to false (and restores the original attribute) if the reload fails.
+  reloadWithCors(mediaElement) {
+    const time = mediaElement.currentTime;
+    const wasPlaying = !mediaElement.paused;
+
+    return new Promise(resolve => {
+      const finish = (success) => {
+        clearTimeout(timeout);
+        mediaElement.removeEventListener('loadedmetadata', onLoaded);
+        mediaElement.removeEventListener('error', onError);
+        resolve(success);
+      };
+      const onLoaded = () => {
+        if (time > 0 && isFinite(mediaElement.duration)) mediaElement.currentTime = time;
+        if (wasPlaying) mediaElement.play().catch(() => {});
+        finish(true);
+      };
+      const onError = () => {
+        mediaElement.removeAttribute('crossorigin');
+        mediaElement.load();
+        finish(false);
+      };
+      const timeout = setTimeout(onError, 10000);
+
+      mediaElement.addEventListener('loadedmetadata', onLoaded);
+      mediaElement.addEventListener('error', onError);
+      mediaElement.crossOrigin = 'anonymous';
+      mediaElement.load();
+    });
+  }
+
+  // A routed element switched sources. A new cross-origin source would be
+  // silenced, so try to reload it with CORS; otherwise report it.
+  async checkSourceChange(mediaElement) {
+    if (!this.mediaElements.has(mediaElement)) return;
+    this.silentSince.delete(mediaElement);
+    if (this.getSourceOrigin(mediaElement) !== 'cross-origin') {
+      this.clearMediaIssue(mediaElement);
+      return;
+    }
+
+    const src = mediaElement.currentSrc || mediaElement.src;
+    if (this.canReloadWithCors(mediaElement, src) && await this.probeCors(src) &&
+        await this.reloadWithCors(mediaElement)) {
+      this.clearMediaIssue(mediaElement);
+      return;
+    }
+    this.setMediaIssue(mediaElement, 'silent',
+      'Switched to cross-origin media without CORS; Web Audio outputs silence for it');
+  }
+
+  // Integrated loudness covers one source, so start over when it changes
+  resetLoudness(mediaElement) {
+    const chain = this.mediaElements.get(mediaElement);
+    if (chain) EVCAudioChain.resetLoudness(chain);
+  }
+
+  // Flag routed elements whose input stays digitally silent while they play
+  // audibly for a few seconds (typically a tainted source behind a redirect)
+  checkForSilence(mediaElement) {
+    const analyzer = this.levelAnalyzers.get(mediaElement);
+    if (!analyzer || mediaElement.paused || mediaElement.muted || mediaElement.volume === 0) {
+      this.silentSince.delete(mediaElement);
+      return;
+    }
+
+    if (!EVCAudioChain.isSilent(analyzer)) {
+      this.silentSince.delete(mediaElement);
+      if (this.mediaIssues.get(mediaElement)?.reason === 'silent') this.clearMediaIssue(mediaElement);
+      return;
+    }
+
+    if (!this.silentSince.has(mediaElement)) {
+      this.silentSince.set(mediaElement, mediaElement.currentTime);
+    } else if (mediaElement.currentTime - this.silentSince.get(mediaElement) > 3 &&
+               !this.mediaIssues.has(mediaElement)) {
+      this.setMediaIssue(mediaElement, 'silent',
+        'No audio reaches the compressor; the source may be cross-origin without CORS');
+    }
+  }
+
+  // Record why an element is not (properly) processed and tell the popup
+  setMediaIssue(mediaElement, reason, message) {
+    const current = this.mediaIssues.get(mediaElement);
+    if (current && current.reason === reason && current.message === message) return;
+    this.mediaIssues.set(mediaElement, { reason, message });
+    console.warn(`Easy Volume Compressor: ${message}`, mediaElement);
+    this.sendMediaStatus();
+  }
+
+  // Forget a recorded issue
+  clearMediaIssue(mediaElement) {
+    if (this.mediaIssues.delete(mediaElement)) {
+      this.sendMediaStatus();
+    }
+  }
+
+  // Send the list of problem elements in this frame to the popup
+  sendMediaStatus() {
+    if (!this.meterPort) return;
+
+    const issues = [];
+    this.mediaIssues.forEach((issue, mediaElement) => {
+      issues.push({
+        tag: mediaElement.nodeName.toLowerCase(),
+        src: mediaElement.currentSrc || mediaElement.src || '',
+        reason: issue.reason,
+        message: issue.message
+      });
+    });
+    this.meterPort.postMessage({ type: 'MEDIA_STATUS', issues });
+  }
+
+  // --- Lifecycle ---
+
+  // The audio context, created on first use (and again after an idle close)
+  getAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.lastPlaybackTime = Date.now();
+    }
+    return this.audioContext;
+  }
+
+  // Resume a suspended context: one created before any user gesture, or one
+  // suspended while idle. Without a gesture this may fail; the next play or
+  // interaction tries again.
+  resumeAudioContext() {
+    const context = this.audioContext;
+    if (!context || context.state !== 'suspended') return;
+    context.resume().catch(error => {
+      console.warn('Easy Volume Compressor: could not resume audio', error);
+    });
+  }
+
+  // A routed element started playing
+  handlePlay(mediaElement) {
+    if (!this.mediaElements.has(mediaElement)) return;
+    this.lastPlaybackTime = Date.now();
+    this.resumeAudioContext();
+  }
+
+  // A routed element paused or ended; if it is out of the page it can be
+  // released now that it no longer plays
+  handleStop(mediaElement) {
+    if (this.mediaElements.has(mediaElement) && !mediaElement.isConnected) this.scheduleRelease();
+  }
+
+  // Suspend the context when nothing has played for a while, and close it
+  // once no captured element is left that could play again
+  checkIdle() {
+    const context = this.audioContext;
+    if (!context) return;
+
+    const now = Date.now();
+    for (const mediaElement of this.mediaElements.keys()) {
+      if (!mediaElement.paused) {
+        this.lastPlaybackTime = now;
+        this.resumeAudioContext();
+        return;
+      }
+    }
+
+    const idle = now - this.lastPlaybackTime;
+    if (idle >= IDLE_CLOSE_MS && this.mediaElements.size === 0 && !this.hasReleasedElements()) {
+      console.log('Easy Volume Compressor: no media left, closing the audio context');
+      this.audioContext = null;
+      context.close().catch(() => {});
+    } else if (idle >= IDLE_SUSPEND_MS && context.state === 'running') {
+      context.suspend().catch(() => {});
     }
   }
 
-  // Configure compressor with current settings
-  configureCompressor(compressor) {
-    compressor.threshold.value = this.settings.threshold;
-    compressor.ratio.value = this.settings.ratio;
-    compressor.attack.value = this.settings.attack;
-    compressor.release.value = this.settings.release;
-    // Standard values for other parameters
-    compressor.knee.value = 10; // Soft knee
+  // Check for removed elements shortly after the page removed nodes
+  scheduleRelease() {
+    if (this.releaseTimer || (this.mediaElements.size === 0 && this.mediaIssues.size === 0)) return;
+    this.releaseTimer = setTimeout(() => {
+      this.releaseTimer = null;
+      this.releaseDetachedElements();
+    }, RELEASE_DELAY_MS);
   }
 
-  // Update output gain
-  updateOutputGain(gainNode) {
-    // Convert dB to linear gain
-    gainNode.gain.value = Math.pow(10, this.settings.outputGain / 20);
+  // Tear down the graphs of routed elements that are no longer in the page
+  // and forget everything kept about them. Elements that still play out of
+  // the page (audio that was never inserted, or moved during a re-layout)
+  // keep their chain; they are checked again when they pause or end.
+  releaseDetachedElements() {
+    let released = 0;
+    this.mediaElements.forEach((chain, mediaElement) => {
+      if (mediaElement.isConnected || !(mediaElement.paused || mediaElement.ended)) return;
+      EVCAudioChain.disposeChain(chain);
+      this.releasedSources.set(mediaElement, chain.source);
+      this.releasedElements.add(new WeakRef(mediaElement));
+      this.mediaElements.delete(mediaElement);
+      this.levelAnalyzers.delete(mediaElement);
+      this.reductionValues.delete(mediaElement);
+      this.elementIds.delete(mediaElement);
+      this.silentSince.delete(mediaElement);
+      released++;
+    });
+
+    let issuesChanged = false;
+    this.mediaIssues.forEach((issue, mediaElement) => {
+      if (mediaElement.isConnected) return;
+      this.mediaIssues.delete(mediaElement);
+      issuesChanged = true;
+    });
+
+    if (released > 0) {
+      console.log(`Easy Volume Compressor: released ${released} removed media element(s)`);
+      this.reportStatus();
+    }
+    if (issuesChanged) this.sendMediaStatus();
+  }
+
+  // Whether any released element is still around (and might be re-inserted)
+  hasReleasedElements() {
+    this.releasedElements.forEach(ref => {
+      if (!ref.deref()) this.releasedElements.delete(ref);
+    });
+    return this.releasedElements.size > 0;
+  }
+
+  // A released element was routed again
+  forgetReleasedElement(mediaElement) {
+    this.releasedSources.delete(mediaElement);
+    this.releasedElements.forEach(ref => {
+      if (ref.deref() === mediaElement) this.releasedElements.delete(ref);
+    });
   }
 
   // Update all compressors with new settings
   updateAllCompressors() {
-    this.mediaElements.forEach((nodes, element) => {
-      // Update compressor settings
-      this.configureCompressor(nodes.compressor);
-      this.updateOutputGain(nodes.gainNode);
-
-      // Handle enable/disable
-      if (this.settings.enabled && !nodes.connected) {
-        // Disconnect direct connection
-        nodes.source.disconnect(this.audioContext.destination);
-        // Connect through compressor
-        nodes.gainNode.connect(this.audioContext.destination);
-        nodes.connected = true;
-      } else if (!this.settings.enabled && nodes.connected) {
-        // Disconnect compressor
-        nodes.gainNode.disconnect(this.audioContext.destination);
-        // Connect directly to output
-        nodes.source.connect(this.audioContext.destination);
-        nodes.connected = false;
-      }
+    this.mediaElements.forEach((chain, element) => {
+      // Update compressor settings and handle enable/disable
+      EVCAudioChain.configureChain(chain, this.settings);
     });
   }
 
-  // Start monitoring audio levels
-  startLevelMonitoring() {
-    if (this.isMonitoringLevel) return;
-    this.isMonitoringLevel = true;
+  // --- Per-element controls (popup element list) ---
+
+  // Find a routed element by its element list id
+  findElementById(elementId) {
+    for (const [mediaElement, id] of this.elementIds) {
+      if (id === elementId) return mediaElement;
+    }
+    return null;
+  }
 
-    // Set up monitoring interval
-    this.levelMonitoringInterval = setInterval(() => {
-      this.sendLevelData();
-    }, 100); // Update every 100ms
+  // Bypass or trim one element. Overrides are kept per element (and applied
+  // to its chain), so they last until the page is reloaded and survive
+  // settings changes and the element being released and routed again.
+  setElementOverride(elementId, overrides) {
+    const mediaElement = this.findElementById(elementId);
+    const chain = mediaElement && this.mediaElements.get(mediaElement);
+    if (!chain) return;
+    this.elementOverrides.set(mediaElement, { ...this.elementOverrides.get(mediaElement), ...overrides });
+    EVCAudioChain.setOverrides(chain, overrides);
   }
 
-  // Stop monitoring audio levels
+  // Scroll an element into view and outline it for a moment
+  highlightElement(elementId) {
+    const mediaElement = this.findElementById(elementId);
+    if (!mediaElement) return;
+
+    mediaElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const { outline, outlineOffset } = mediaElement.style;
+    mediaElement.style.outline = '4px solid #4a4a9e';
+    mediaElement.style.outlineOffset = '-4px';
+    setTimeout(() => {
+      mediaElement.style.outline = outline;
+      mediaElement.style.outlineOffset = outlineOffset;
+    }, 2000);
+  }
+
+  // Show a short message on the page (keyboard shortcut confirmation). The
+  // toast lives in a closed shadow root so page styles cannot affect it.
+  showToast(text) {
+    if (!this.toast) {
+      const host = document.createElement('div');
+      const shadow = host.attachShadow({ mode: 'closed' });
+      const toast = document.createElement('div');
+      toast.style.cssText = [
+        'position: fixed', 'top: 16px', 'right: 16px', 'z-index: 2147483647',
+        'padding: 8px 14px', 'border-radius: 5px', 'background: rgba(58, 58, 126, 0.92)',
+        'color: #fff', 'font: 600 13px/1.4 "Segoe UI", Tahoma, sans-serif',
+        'box-shadow: 0 2px 8px rgba(0,0,0,0.3)', 'pointer-events: none',
+        'transition: opacity 0.2s ease'
+      ].join(';');
+      shadow.appendChild(toast);
+      this.toast = { host, element: toast, timer: null };
+    }
+
+    const { host, element } = this.toast;
+    if (!host.isConnected) document.documentElement.appendChild(host);
+    element.textContent = `Easy Volume Compressor: ${text}`;
+    element.style.opacity = '1';
+    clearTimeout(this.toast.timer);
+    this.toast.timer = setTimeout(() => {
+      element.style.opacity = '0';
+    }, 1500);
+  }
+
+  // Describe every routed element for the popup's element list
+  describeElements() {
+    const elements = [];
+    this.mediaElements.forEach((chain, mediaElement) => {
+      const playing = !mediaElement.paused;
+      elements.push({
+        id: this.elementIds.get(mediaElement),
+        tag: mediaElement.nodeName.toLowerCase(),
+        src: mediaElement.currentSrc || mediaElement.src || '',
+        title: mediaElement.title || mediaElement.getAttribute('aria-label') || '',
+        paused: !playing,
+        level: playing ? Math.max(...EVCAudioChain.measureChannelLevels(chain)) : -60,
+        reduction: playing ? EVCAudioChain.getReduction(chain) : 0,
+        bypass: chain.overrides.bypass,
+        trim: chain.overrides.trim
+      });
+    });
+    return elements;
+  }
+
+  // --- Toolbar badge status ---
+
+  // Send this frame's processing state to the background script when it
+  // changes, plus a heartbeat while there is media so the frame keeps counting
+  reportStatus() {
+    let playing = 0;
+    let reduction = 0;
+    this.mediaElements.forEach((chain, mediaElement) => {
+      if (mediaElement.paused) return;
+      playing++;
+      reduction = Math.max(reduction, EVCAudioChain.getReduction(chain));
+    });
+    const webAudioLevel = this.webAudioBridge.requestLevel();
+    if (webAudioLevel && webAudioLevel.active) {
+      playing++;
+      reduction = Math.max(reduction, webAudioLevel.reduction);
+    }
+
+    const status = {
+      enabled: !!this.settings.enabled,
+      elements: this.mediaElements.size,
+      playing,
+      reduction: Math.round(reduction)
+    };
+    const json = JSON.stringify(status);
+    const now = Date.now();
+    const hasMedia = status.elements > 0 || playing > 0;
+    if (json === this.lastStatus && !(hasMedia && now - this.lastStatusTime >= STATUS_HEARTBEAT_MS)) return;
+
+    this.lastStatus = json;
+    this.lastStatusTime = now;
+    browser.runtime.sendMessage({ type: 'TAB_STATUS', status }).catch(() => {
+      // Background not ready
+    });
+  }
+
+  // --- Level metering (popup) ---
+
+  // Open a port to the popup and stream meter frames over it. Closing the
+  // popup disconnects the port, which stops the stream.
+  startLevelMonitoring(rate) {
+    if (this.meterPort) return;
+    const framesPerSecond = Math.max(METER_RATE_RANGE.min, Math.min(METER_RATE_RANGE.max, rate || METER_RATE_RANGE.default));
+    this.meterFrameInterval = 1000 / framesPerSecond;
+    this.meterFrames = [];
+    this.lastMeterFrameTime = 0;
+    this.lastMeterBatchTime = performance.now();
+
+    this.meterPort = browser.runtime.connect({ name: METER_PORT_NAME });
+    this.meterPort.onDisconnect.addListener(() => this.stopLevelMonitoring());
+    this.scheduleMeterTick();
+    this.sendMediaStatus();
+  }
+
+  // Stop streaming and let go of the port
   stopLevelMonitoring() {
-    if (!this.isMonitoringLevel) return;
-    this.isMonitoringLevel = false;
+    if (!this.meterPort) return;
+    const port = this.meterPort;
+    this.meterPort = null;
+    cancelAnimationFrame(this.meterAnimation);
+    clearTimeout(this.meterTimer);
+    try {
+      port.disconnect();
+    } catch (e) {
+      // Already disconnected
+    }
+  }
 
-    clearInterval(this.levelMonitoringInterval);
+  // Sample on animation frames, or on timers while the page is hidden
+  // (hidden pages get no animation frames)
+  scheduleMeterTick() {
+    if (document.hidden) {
+      this.meterTimer = setTimeout(() => this.meterTick(performance.now()), this.meterFrameInterval);
+    } else {
+      this.meterAnimation = requestAnimationFrame(time => this.meterTick(time));
+    }
   }
 
-  // Send level data to popup
-  sendLevelData() {
-    if (!this.isPopupOpen || this.levelAnalyzers.size === 0) return;
+  // Take a frame at the configured rate and post the collected frames
+  // every METER_BATCH_MS
+  meterTick(time) {
+    if (!this.meterPort) return;
+    // Allow a little jitter so 60 fps sampling does not skip every other frame
+    if (time - this.lastMeterFrameTime >= this.meterFrameInterval - 2) {
+      this.lastMeterFrameTime = time;
+      const frame = this.measureMeterFrame();
+      if (frame) this.meterFrames.push(frame);
+    }
+    if (time - this.lastMeterBatchTime >= METER_BATCH_MS) {
+      this.lastMeterBatchTime = time;
+      this.sendMeterBatch();
+    }
+    this.scheduleMeterTick();
+  }
 
-    let maxLevel = -Infinity;
-    let maxReduction = 0;
+  // One meter frame: the loudest RMS and peak level per channel and the
+  // largest compressor and limiter reduction across playing streams.
+  // Null when the frame has no media at all.
+  measureMeterFrame() {
+    let levels = [-Infinity, -Infinity];
+    let peaks = [-Infinity, -Infinity];
+    let reduction = 0;
+    let limiterReduction = 0;
     let hasActiveMedia = false;
 
-    // Find the maximum level across all active media elements
-    this.mediaElements.forEach((nodes, mediaElement) => {
+    // Keep the loudest value seen for each channel
+    const mergeChannels = (current, values) => current.map((value, i) => Math.max(value, values[i]));
+
+    this.mediaElements.forEach((chain, mediaElement) => {
       if (mediaElement.paused) return;
       hasActiveMedia = true;
+      levels = mergeChannels(levels, EVCAudioChain.measureChannelLevels(chain));
+      peaks = mergeChannels(peaks, EVCAudioChain.measureChannelPeaks(chain));
+      reduction = Math.max(reduction, EVCAudioChain.getReduction(chain));
+      limiterReduction = Math.max(limiterReduction, EVCAudioChain.getLimiterReduction(chain));
+    });
 
-      // Get output level
-      const analyzer = this.levelAnalyzers.get(mediaElement);
-      const dataArray = new Uint8Array(analyzer.frequencyBinCount);
-      analyzer.getByteTimeDomainData(dataArray);
-
-      // Calculate RMS value (root mean square)
-      let sum = 0;
-      for (let i = 0; i < dataArray.length; i++) {
-        // Convert from 0-255 to -1.0 to 1.0
-        const amplitude = (dataArray[i] - 128) / 128;
-        sum += amplitude * amplitude;
-      }
-      const rms = Math.sqrt(sum / dataArray.length);
-
-      // Convert to dB (clamped to -60dB minimum)
-      let db = 20 * Math.log10(Math.max(rms, 0.001));
-
-      // Update max level
-      if (db > maxLevel) {
-        maxLevel = db;
-      }
+    // Include audio the page plays through its own AudioContexts
+    const webAudioLevel = this.webAudioBridge.requestLevel();
+    if (webAudioLevel && webAudioLevel.active) {
+      hasActiveMedia = true;
+      levels = mergeChannels(levels, webAudioLevel.levels);
+      peaks = mergeChannels(peaks, webAudioLevel.peaks || webAudioLevel.levels);
+      reduction = Math.max(reduction, webAudioLevel.reduction);
+      limiterReduction = Math.max(limiterReduction, webAudioLevel.limiterReduction || 0);
+    }
 
-      // Get reduction amount (in dB)
-      // Note: reduction is a negative value in the Web Audio API
-      const reduction = Math.abs(nodes.compressor.reduction);
+    if (!hasActiveMedia && this.mediaElements.size === 0) return null;
+    const floor = value => (value !== -Infinity ? value : -60);
+    return {
+      time: performance.now(),
+      levels: levels.map(floor),
+      peaks: peaks.map(floor),
+      reduction,
+      limiterReduction
+    };
+  }
 
-      // Update max reduction
-      if (reduction > maxReduction) {
-        maxReduction = reduction;
-      }
+  // Post the collected frames together with the slower readings: band
+  // reductions, loudness, gate state and the element list
+  sendMeterBatch() {
+    const frames = this.meterFrames;
+    this.meterFrames = [];
+    if (frames.length === 0 && this.mediaElements.size === 0) return;
+
+    let bandReductions = null; // Per-band maximum [low, mid, high] in multiband mode
+    let loudness = null; // Loudness of the loudest stream (by short-term loudness)
+    let gateOpen = null; // null when no stream uses the gate, else true if any gate is open
+
+    // Keep the largest reduction seen for each band
+    const mergeBandReductions = (values) => {
+      if (!values) return;
+      bandReductions = bandReductions ? bandReductions.map((value, i) => Math.max(value, values[i])) : values;
+    };
+
+    // Keep the loudness reading of the loudest stream
+    const mergeLoudness = (value) => {
+      if (value && (!loudness || value.shortTerm > loudness.shortTerm)) loudness = value;
+    };
+
+    this.mediaElements.forEach((chain, mediaElement) => {
+      if (mediaElement.paused) return;
+      mergeBandReductions(EVCAudioChain.getBandReductions(chain));
+      mergeLoudness(EVCAudioChain.getLoudness(chain));
+      const chainGateOpen = EVCAudioChain.isGateOpen(chain);
+      if (chainGateOpen !== null) gateOpen = gateOpen || chainGateOpen;
     });
 
-    // If we have a valid level, send it to the popup
-    if (hasActiveMedia) {
-      browser.runtime.sendMessage({
-        type: 'METER_UPDATE',
-        level: maxLevel !== -Infinity ? maxLevel : -60,
-        reduction: maxReduction
-      });
+    const webAudioLevel = this.webAudioBridge.requestLevel();
+    if (webAudioLevel && webAudioLevel.active) {
+      mergeBandReductions(webAudioLevel.bandReductions);
+      mergeLoudness(webAudioLevel.loudness);
+      if (typeof webAudioLevel.gateOpen === 'boolean') gateOpen = gateOpen || webAudioLevel.gateOpen;
     }
+
+    this.meterPort.postMessage({
+      type: 'METER_FRAMES',
+      frames,
+      bandReductions,
+      loudness,
+      gateOpen,
+      elements: this.describeElements()
+    });
   }
 }
 
@@ -0,0 +1,210 @@
+"use strict";
+/**
+ * Easy Volume Compressor - URL Rules
+ *
+ * Settings keys double as URL match patterns. Loaded by the background,
+ * popup and options scripts so they all resolve a URL to the same key.
+ *
+ * Supported patterns:
+ *   tab-N               a single tab (temporary)
+ *   file:///path/x.mp4  a local file (exact URL)
+ *   example.com         exact host
+ *   *.example.com       example.com and all of its subdomains
+ *   example.com/shorts  host + path prefix (also *.example.com/shorts)
+ *   /^https:\/\/.../    regular expression tested against the full URL
+ *
+ * When several patterns match, the most specific one wins:
+ * tab > file > host+path (longer path first) > exact host > wildcard
+ * (longer domain first) > regex. Ties go to the pattern stored first.
+ */
+
+// Compiled patterns by key, so regexes are not rebuilt on every lookup
+const parsedPatternCache = new Map();
+
+// Parse a settings key into a match pattern; returns null for invalid keys
+function parsePattern(key) {
+  if (typeof key !== 'string' || !key) return null;
+  if (parsedPatternCache.has(key)) return parsedPatternCache.get(key);
+
+  let pattern = null;
+  const tabMatch = /^tab-(\d+)$/.exec(key);
+
+  if (tabMatch) {
+    pattern = { type: 'tab', tabId: parseInt(tabMatch[1], 10), specificity: 10000 };
+  } else if (key.startsWith('file:')) {
+    pattern = { type: 'file', url: key, specificity: 9000 };
+  } else if (key.length > 2 && key.startsWith('/') && key.endsWith('/')) {
+    try {
+      pattern = { type: 'regex', regex: new RegExp(key.slice(1, -1)), specificity: 0 };
+    } catch (e) {
+      console.warn(`Ignoring invalid regex rule: ${key}`, e);
+    }
+  } else {
+    const slashIndex = key.indexOf('/');
+    let host = (slashIndex === -1 ? key : key.slice(0, slashIndex)).toLowerCase();
+    let path = slashIndex === -1 ? '' : key.slice(slashIndex);
+    if (path.length > 1 && path.endsWith('/')) path = path.slice(0, -1);
+    if (path === '/') path = '';
+
+    const wildcard = host.startsWith('*.');
+    if (wildcard) host = host.slice(2);
+
+    if (host && !host.includes('*')) {
+      let specificity = wildcard ? 100 + host.split('.').length : 500;
+      if (path) specificity += 1000 + path.length * 2;
+      pattern = { type: path ? 'path' : (wildcard ? 'wildcard' : 'host'), host, wildcard, path, specificity };
+    }
+  }
+
+  parsedPatternCache.set(key, pattern);
+  return pattern;
+}
+
+// Does a parsed pattern match this URL (and tab)?
+function patternMatches(pattern, url, tabId) {
+  if (!pattern || !url) return false;
+
+  switch (pattern.type) {
+    case 'tab':
+      return pattern.tabId === tabId;
+    case 'file':
+      return url === pattern.url;
+    case 'regex':
+      return pattern.regex.test(url);
+    default: {
+      let urlObj;
+      try {
+        urlObj = new URL(url);
+      } catch (e) {
+        return false;
+      }
+      if (!urlObj.protocol.startsWith('http')) return false;
+
+      const hostname = urlObj.hostname.toLowerCase();
+      const hostMatches = pattern.wildcard
+        ? hostname === pattern.host || hostname.endsWith(`.${pattern.host}`)
+        : hostname === pattern.host;
+      if (!hostMatches) return false;
+      if (!pattern.path) return true;
+
+      // Path prefixes match on segment boundaries (/shorts matches /shorts/abc, not /shortsfoo)
+      return urlObj.pathname === pattern.path || urlObj.pathname.startsWith(`${pattern.path}/`);
+    }
+  }
+}
+
+// All keys matching a URL, most specific first
+function getMatchingKeys(url, keys, tabId) {
+  return keys
+    .map((key, index) => ({ key, index, pattern: parsePattern(key) }))
+    .filter(entry => patternMatches(entry.pattern, url, tabId))
+    .sort((a, b) => (b.pattern.specificity - a.pattern.specificity) || (a.index - b.index))
+    .map(entry => entry.key);
+}
+
+// The single key whose settings apply to a URL, or null if none match
+function resolveKeyForUrl(url, keys, tabId) {
+  return getMatchingKeys(url, keys, tabId)[0] || null;
+}
+
+// Public suffixes under which unrelated people own the subdomains. Not the
+// full Public Suffix List: country second levels (co.uk, com.au, ne.jp, ...)
+// follow a pattern, and the hosting platforms are the ones seen most.
+const COUNTRY_SECOND_LEVEL_SUFFIX = /^(ac|co|com|edu|go|gov|ne|net|or|org)\.[a-z]{2}$/;
+const SHARED_HOSTING_SUFFIXES = new Set([
+  'github.io', 'gitlab.io', 'blogspot.com', 'wordpress.com', 'tumblr.com', 'neocities.org',
+  'herokuapp.com', 'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev', 'web.app',
+  'firebaseapp.com', 'appspot.com', 'azurewebsites.net', 'cloudfront.net', 'glitch.me', 'onrender.com'
+]);
+
+// Is a domain a public suffix, so that a wildcard over it would cover
+// unrelated sites? Single labels (com, jp, localhost) count as well.
+function isPublicSuffix(domain) {
+  return !domain.includes('.') || COUNTRY_SECOND_LEVEL_SUFFIX.test(domain) || SHARED_HOSTING_SUFFIXES.has(domain);
+}
+
+// Keys the user can save a change to for this URL, most specific first.
+// Each entry is { key, scope, label }.
+function getScopeCandidates(url, tabId) {
+  let urlObj = null;
+  try {
+    urlObj = new URL(url);
+  } catch (e) {
+    // Fall through to the tab scope
+  }
+
+  if (urlObj && urlObj.protocol === 'file:') {
+    return [{ key: url, scope: 'file', label: 'This file' }];
+  }
+  if (!urlObj || !urlObj.protocol.startsWith('http')) {
+    return [{ key: `tab-${tabId}`, scope: 'tab', label: 'This tab (temporary)' }];
+  }
+
+  const hostname = urlObj.hostname.toLowerCase();
+  const candidates = [];
+
+  const firstSegment = urlObj.pathname.split('/').filter(Boolean)[0];
+  if (firstSegment) {
+    candidates.push({ key: `${hostname}/${firstSegment}`, scope: 'path', label: `Pages under /${firstSegment}` });
+  }
+  candidates.push({ key: hostname, scope: 'site', label: 'This site' });
+
+  // Wildcard over the parent domain, or over the host itself when the parent
+  // is a public suffix such as co.uk or github.io (skipped for IP addresses
+  // and hosts that are public suffixes themselves)
+  const labels = hostname.split('.');
+  const isIp = /^[\d.]+$/.test(hostname) || hostname.includes(':');
+  if (!isIp && labels.length >= 2) {
+    let parent = labels.length > 2 ? labels.slice(1).join('.') : hostname;
+    if (isPublicSuffix(parent)) parent = hostname;
+    if (!isPublicSuffix(parent)) {
+      candidates.push({ key: `*.${parent}`, scope: 'domain', label: `All of ${parent}` });
+    }
+  }
+  return candidates;
+}
+
+// Host names usable in match patterns: dot-separated labels of letters,
+// digits and hyphens (no ports, no spaces)
+const SITE_LIST_HOST = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+// Paths and file URLs must not carry whitespace, a query, a fragment or wildcards
+const SITE_LIST_FORBIDDEN = /[\s?#*]/;
+
+// Can a key be used in the site allow/block lists? Those become content
+// script match patterns, so only hosts, wildcards, host + path and local
+// files (no regexes, tab keys, ports, queries or bare schemes) qualify.
+function isSiteListPattern(key) {
+  const pattern = parsePattern(key);
+  if (!pattern || pattern.type === 'tab' || pattern.type === 'regex') return false;
+  if (pattern.type === 'file') {
+    return /^file:\/\/\/./.test(key) && !SITE_LIST_FORBIDDEN.test(key);
+  }
+  return SITE_LIST_HOST.test(pattern.host) && !SITE_LIST_FORBIDDEN.test(pattern.path);
+}
+
+// Content script match patterns covering the same URLs as a site list key
+function toMatchPatterns(key) {
+  if (!isSiteListPattern(key)) return [];
+  const pattern = parsePattern(key);
+  if (pattern.type === 'file') return [pattern.url];
+
+  // *.example.com also matches example.com itself, as in patternMatches
+  const host = pattern.wildcard ? `*.${pattern.host}` : pattern.host;
+  if (!pattern.path) return [`*://${host}/*`];
+  // Path prefixes end on a segment boundary; match patterns include the query
+  return [`*://${host}${pattern.path}`, `*://${host}${pattern.path}?*`, `*://${host}${pattern.path}/*`];
+}
+
+// Short human-readable description of a key's pattern type
+function describePattern(key) {
+  const pattern = parsePattern(key);
+  if (!pattern) return 'Invalid';
+  switch (pattern.type) {
+    case 'tab': return 'Temporary Tab';
+    case 'file': return 'Local File';
+    case 'regex': return 'Regex';
+    case 'path': return 'Site + Path';
+    case 'wildcard': return 'Wildcard';
+    default: return 'Site';
+  }
+}
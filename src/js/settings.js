@@ -0,0 +1,115 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Shared Settings
+ *
+ * Loaded by the background, content, popup and options scripts so every
+ * context agrees on the factory defaults and the shape of a settings object.
+ */
+
+// Parametric EQ band (peaking filter): centre frequency (Hz), gain (dB), Q
+function eqBand(frequency, gain, q) {
+  return Object.freeze({ frequency, gain, q });
+}
+
+// Factory compressor settings (used until the user sets their own global default)
+const FACTORY_SETTINGS = Object.freeze({
+  enabled: true,
+  ratio: 4.0,        // Compression ratio
+  threshold: -20.0,  // dB threshold
+  attack: 0.003,     // Seconds
+  release: 0.25,     // Seconds
+  outputGain: 0.0,   // dB
+  knee: 10,          // dB: width of the soft knee above the threshold (0 = hard knee)
+  webAudioHook: false, // Also process audio the page plays through its own AudioContexts
+
+  // Compressor: 'native' (DynamicsCompressorNode, detects on the full band) or
+  // 'sidechain' (AudioWorklet that detects on a copy high-passed at
+  // sidechainHighpass Hz, so bass does not duck the rest). Multiband mode
+  // uses its own per-band compressors instead.
+  compressorMode: 'native',
+  sidechainHighpass: 150,
+
+  // Multiband mode: 3 bands split at two crossover frequencies (Hz),
+  // each with its own compressor threshold (dB) and ratio
+  multiband: false,
+  crossoverLow: 200,
+  crossoverHigh: 3000,
+  lowThreshold: -24.0,
+  lowRatio: 3.0,
+  midThreshold: -20.0,
+  midRatio: 4.0,
+  highThreshold: -20.0,
+  highRatio: 3.0,
+
+  // Expander/gate before the compressor: below the threshold (dB) audio is
+  // turned down by up to `range` dB; attack, hold and release in seconds
+  gate: false,
+  gateThreshold: -50,
+  gateRange: 20,
+  gateAttack: 0.005,
+  gateHold: 0.1,
+  gateRelease: 0.2,
+
+  // Look-ahead true-peak limiter after the output gain
+  limiter: true,
+  limiterCeiling: -1.0, // dB
+  limiterRelease: 0.05, // Seconds
+
+  // Auto-level: slowly adjusts the output gain toward a target loudness,
+  // within the given maximum boost and cut (dB)
+  autoLevel: false,
+  autoLevelTarget: -16, // LUFS
+  autoLevelMaxBoost: 12,
+  autoLevelMaxCut: 12,
+
+  // Stereo stage at the start of the chain: mono downmix, left/right swap,
+  // width (0 = mono, 1 = unchanged, 2 = extra wide) and balance (-1 left .. 1 right)
+  stereoMono: false,
+  stereoSwap: false,
+  stereoWidth: 1,
+  stereoBalance: 0,
+
+  // EQ before the compressor: high pass and low pass (Hz) plus parametric bands.
+  // The factory curve is flat.
+  eq: false,
+  eqHighpass: 20,
+  eqLowpass: 20000,
+  eqBands: Object.freeze([eqBand(250, 0, 1), eqBand(1000, 0, 1), eqBand(3000, 0, 1), eqBand(8000, 0, 1)])
+});
+
+// One-click "voice clarity" EQ curve: cut rumble and mud, lift presence
+const VOICE_CLARITY_EQ = Object.freeze({
+  eqHighpass: 100,
+  eqLowpass: 16000,
+  eqBands: Object.freeze([eqBand(250, -3, 1), eqBand(800, -1, 1.4), eqBand(3000, 4, 1.2), eqBand(6000, 2, 0.8)])
+});
+
+// Compressor values (everything except the on/off switch)
+const COMPRESSOR_FIELDS = ['threshold', 'ratio', 'attack', 'release', 'outputGain'];
+
+// Copy the compressor values out of a settings object, filling gaps from `base`
+function pickCompressorValues(settings, base = FACTORY_SETTINGS) {
+  const values = {};
+  COMPRESSOR_FIELDS.forEach(field => {
+    values[field] = typeof settings[field] === 'number' ? settings[field] : base[field];
+  });
+  return values;
+}
+
+// Complete settings object with every factory field, filling gaps (or values
+// of the wrong type) from `base`
+function normalizeSettings(settings, base = FACTORY_SETTINGS) {
+  const normalized = {};
+  Object.keys(FACTORY_SETTINGS).forEach(field => {
+    normalized[field] = typeof settings[field] === typeof FACTORY_SETTINGS[field] ? settings[field] : base[field];
+  });
+  if (!isValidEqBands(normalized.eqBands)) normalized.eqBands = base.eqBands;
+  return normalized;
+}
+
+// An eqBands value with the factory number of bands, each fully numeric
+function isValidEqBands(bands) {
+  return Array.isArray(bands) &&
+    bands.length === FACTORY_SETTINGS.eqBands.length &&
+    bands.every(band => band && ['frequency', 'gain', 'q'].every(key => typeof band[key] === 'number'));
+}
@@ -0,0 +1,144 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Profile Sync
+ *
+ * Helpers for syncing site profiles and user presets through storage.sync.
+ * Loaded by the background script, which owns the data and does the I/O.
+ *
+ * Every entry is its own sync item ("site:<key>", "preset:<id>") holding
+ * { value, modified }, or { deleted: true, modified } once it is removed,
+ * so each stays under the per-item quota and devices merge entry by entry:
+ * the newer modification time wins. Temporary tab keys and local file URLs
+ * are never synced.
+ */
+
+// Sync item prefix per collection
+const SYNC_PREFIXES = Object.freeze({
+  site: 'site:',
+  preset: 'preset:'
+});
+
+// Per-item quota of storage.sync (bytes, key included)
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+// Total quotas of storage.sync
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_MAX_ITEMS = 512;
+// Deletion markers older than this are dropped
+const SYNC_TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Whether a settings key may leave this device
+function isSyncableKey(key) {
+  const pattern = parsePattern(key);
+  return !!pattern && pattern.type !== 'tab' && pattern.type !== 'file';
+}
+
+// JSON of each entry, to find changes later
+function snapshotEntries(entries) {
+  const snapshots = {};
+  Object.keys(entries).forEach(id => {
+    snapshots[id] = JSON.stringify(entries[id]);
+  });
+  return snapshots;
+}
+
+// Give every entry that changed (or was deleted) since its snapshot a new
+// modification time. Updates `snapshots` and `timestamps` in place and
+// returns the changed ids.
+function stampChangedEntries(entries, snapshots, timestamps, now = Date.now()) {
+  const changed = [];
+  const ids = new Set([...Object.keys(entries), ...Object.keys(snapshots)]);
+  ids.forEach(id => {
+    const json = entries.hasOwnProperty(id) ? JSON.stringify(entries[id]) : undefined;
+    if (json === snapshots[id]) return;
+    if (json === undefined) {
+      delete snapshots[id];
+    } else {
+      snapshots[id] = json;
+    }
+    timestamps[id] = now;
+    changed.push(id);
+  });
+  return changed;
+}
+
+// Give every entry without a modification time (saved before sync existed)
+// one, so it is sent and other devices take it. Only ids passing `include`
+// are stamped. Updates `timestamps` in place and returns the stamped ids.
+function stampUnversionedEntries(entries, timestamps, include, now = Date.now()) {
+  const stamped = Object.keys(entries).filter(id => !timestamps.hasOwnProperty(id) && include(id));
+  stamped.forEach(id => {
+    timestamps[id] = now;
+  });
+  return stamped;
+}
+
+// The sync item for one entry (a deletion marker once it is gone)
+function buildSyncItem(entries, timestamps, id) {
+  const modified = timestamps[id] || 0;
+  return entries.hasOwnProperty(id)
+    ? { value: entries[id], modified }
+    : { deleted: true, modified };
+}
+
+// Size of a sync item as counted against the per-item quota
+function getSyncItemSize(itemKey, item) {
+  return new TextEncoder().encode(itemKey + JSON.stringify(item)).length;
+}
+
+// Space storage.sync would use once `items` are written over the `stored`
+// items: { items, bytes }
+function getSyncUsage(stored, items) {
+  const all = { ...stored, ...items };
+  const keys = Object.keys(all);
+  return {
+    items: keys.length,
+    bytes: keys.reduce((total, itemKey) => total + getSyncItemSize(itemKey, all[itemKey]), 0)
+  };
+}
+
+// Readable usage of storage.sync, e.g. "12.3 of 100 KB, 30 of 512 items"
+function describeSyncUsage(usage) {
+  return `${(usage.bytes / 1024).toFixed(1)} of ${SYNC_QUOTA_BYTES / 1024} KB, ` +
+    `${usage.items} of ${SYNC_MAX_ITEMS} items`;
+}
+
+// Message for usage over one of the total quotas, or null if it fits
+function describeSyncQuotaProblem(usage) {
+  if (usage.items <= SYNC_MAX_ITEMS && usage.bytes <= SYNC_QUOTA_BYTES) return null;
+  return `Sync storage is full (would use ${describeSyncUsage(usage)}). ` +
+    'Delete unused profiles or presets, or turn sync off.';
+}
+
+// Is a remote item newer than what this device has for the entry?
+function isNewerSyncItem(timestamps, id, item) {
+  return !!item && typeof item.modified === 'number' && item.modified > (timestamps[id] || 0);
+}
+
+// Apply a remote item if it is newer than the local entry, or if this device
+// has never had the entry (items pushed without a modification time count as
+// time 0). Updates `entries`, `snapshots` and `timestamps` in place (so the
+// change is not stamped and sent back); returns true if the entry changed.
+function mergeSyncItem(entries, snapshots, timestamps, id, item) {
+  const unknown = !entries.hasOwnProperty(id) && !timestamps.hasOwnProperty(id);
+  const usable = !!item && typeof item.modified === 'number';
+  if (!(unknown && usable) && !isNewerSyncItem(timestamps, id, item)) return false;
+  timestamps[id] = item.modified;
+  if (item.deleted) {
+    if (!entries.hasOwnProperty(id)) return false;
+    delete entries[id];
+    delete snapshots[id];
+  } else {
+    entries[id] = item.value;
+    snapshots[id] = JSON.stringify(item.value);
+  }
+  return true;
+}
+
+// Readable message for a failed storage.sync write
+function describeSyncError(error) {
+  const message = (error && error.message) || String(error);
+  if (/quota|QUOTA_BYTES|MAX_ITEMS/i.test(message)) {
+    return 'Sync storage is full. Delete unused profiles or presets, or turn sync off.';
+  }
+  return message;
+}
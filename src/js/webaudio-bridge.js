@@ -0,0 +1,122 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Web Audio Hook Bridge
+ *
+ * Runs at document_start, next to webaudio-hook.js in the page world. Relays
+ * settings (which tell the hook whether the site opts in, webAudioHook) and
+ * level data between the hook and content.js through DOM events, so audio the
+ * page plays through its own AudioContexts is compressed too.
+ */
+
+// Settings the page-world chain uses; nothing else is handed to the page
+const HOOK_SETTING_FIELDS = [
+  'enabled', 'ratio', 'threshold', 'attack', 'release', 'outputGain', 'knee',
+  'compressorMode', 'sidechainHighpass',
+  'multiband', 'crossoverLow', 'crossoverHigh', 'lowThreshold', 'lowRatio', 'midThreshold', 'midRatio',
+  'highThreshold', 'highRatio',
+  'gate', 'gateThreshold', 'gateRange', 'gateAttack', 'gateHold', 'gateRelease',
+  'limiter', 'limiterCeiling', 'limiterRelease',
+  'autoLevel', 'autoLevelTarget', 'autoLevelMaxBoost', 'autoLevelMaxCut',
+  'stereoMono', 'stereoSwap', 'stereoWidth', 'stereoBalance',
+  'eq', 'eqHighpass', 'eqLowpass', 'eqBands'
+];
+
+// Level reports come through a DOM event the page can dispatch itself, so
+// only well-formed ones are used: the report with every field checked, or null
+function parseHookLevel(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const isChannels = value => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+  if (!data || typeof data.active !== 'boolean' || !isChannels(data.levels) || !isChannels(data.peaks)) {
+    return null;
+  }
+
+  const bands = data.bandReductions;
+  const loudness = data.loudness && typeof data.loudness === 'object' ? data.loudness : null;
+  const loudnessValue = field => (isNumber(loudness[field]) ? loudness[field] : null);
+  return {
+    active: data.active,
+    levels: data.levels,
+    peaks: data.peaks,
+    reduction: isNumber(data.reduction) ? data.reduction : 0,
+    limiterReduction: isNumber(data.limiterReduction) ? data.limiterReduction : 0,
+    bandReductions: Array.isArray(bands) && bands.length === 3 && bands.every(isNumber) ? bands : null,
+    loudness: loudness && {
+      momentary: loudnessValue('momentary'),
+      shortTerm: loudnessValue('shortTerm'),
+      integrated: loudnessValue('integrated'),
+      autoGain: loudnessValue('autoGain') || 0
+    },
+    gateOpen: typeof data.gateOpen === 'boolean' ? data.gateOpen : null
+  };
+}
+
+class WebAudioHookBridge {
+  constructor() {
+    this.settings = null;
+    this.lastLevel = null;
+
+    // The hook announces itself once loaded and then answers level requests
+    document.addEventListener('evc-webaudio-ready', () => this.sendSettings());
+    document.addEventListener('evc-webaudio-level', (event) => {
+      this.lastLevel = parseHookLevel(event.detail);
+    });
+
+    // Ask right away so the hook can take over as early as possible
+    this.requestInitialSettings();
+  }
+
+  // Request settings from the background script without waiting for content.js
+  async requestInitialSettings() {
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'REQUEST_INITIAL_SETTINGS' });
+      if (response && response.settings && !this.settings) {
+        this.applySettings(response.settings);
+      }
+    } catch (error) {
+      console.error("Error requesting settings for the Web Audio hook:", error);
+    }
+  }
+
+  // Keep the hook up to date
+  applySettings(settings) {
+    this.settings = settings;
+    this.sendSettings();
+  }
+
+  // Forward settings to the hook. It takes over the page's audio once the
+  // site opts in, and only processes it while both the compressor and the
+  // hook are enabled for the site.
+  sendSettings() {
+    if (!this.settings) return;
+    const hookSettings = {};
+    HOOK_SETTING_FIELDS.forEach(field => {
+      hookSettings[field] = this.settings[field];
+    });
+    hookSettings.enabled = this.settings.enabled && this.settings.webAudioHook;
+    document.dispatchEvent(new CustomEvent('evc-webaudio-settings', {
+      detail: JSON.stringify({
+        hook: this.settings.webAudioHook,
+        scriptBaseUrl: browser.runtime.getURL('js/'),
+        settings: hookSettings
+      })
+    }));
+  }
+
+  // Ask the hook for its current level. The hook answers synchronously from its
+  // event listener, so the result is available right after dispatching.
+  requestLevel() {
+    if (!this.settings || !this.settings.webAudioHook) return null;
+    this.lastLevel = null;
+    document.dispatchEvent(new CustomEvent('evc-webaudio-level-request'));
+    return this.lastLevel;
+  }
+}
+
+// Shared with content.js (content scripts of a frame share one global scope)
+const webAudioBridge = new WebAudioHookBridge();
@@ -0,0 +1,191 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Web Audio Hook (page script)
+ *
+ * Registered by the background script as a page-world (MAIN) content script
+ * at document_start, after audio-chain.js, so it wraps
+ * AudioNode.prototype.connect/disconnect before the page's own scripts run.
+ * Until a site opts in (webAudioHook, relayed by webaudio-bridge.js) it only
+ * notes which nodes the page connects to an AudioContext's destination. Once
+ * it does, those connections and every later one go through the same
+ * compressor/gain chain (EVCAudioChain) used for media elements.
+ */
+
+(() => {
+  if (typeof EVCAudioChain === 'undefined' || typeof AudioNode === 'undefined') return;
+
+  const nativeConnect = AudioNode.prototype.connect;
+  const nativeDisconnect = AudioNode.prototype.disconnect;
+
+  // One chain per page AudioContext (context -> chain)
+  const chains = new Map();
+  // Latest settings from the extension
+  let settings = null;
+  // Set once the site opts in; until then connections are only noted
+  let hooked = false;
+  // Nodes the page connected straight to a destination before that, with
+  // their output indices. WeakRefs, so nodes the page drops can be collected.
+  const directNodes = new Set();
+  const directOutputs = new WeakMap();
+  // directNodes is swept of collected nodes when it grows past this
+  const DIRECT_SWEEP_SIZE = 500;
+  // Set while building our own chain so its connections are not rerouted
+  let internal = false;
+  // Page nodes connected to a chain instead of the destination; only their
+  // disconnects are redirected (others may really be on the destination)
+  const rerouted = new WeakSet();
+
+  // Only real-time contexts are processed (OfflineAudioContext renders are left alone)
+  function isProcessedDestination(node) {
+    return node instanceof AudioDestinationNode && node.context instanceof AudioContext;
+  }
+
+  // Get or build the chain for a context. Its input gain node replaces the
+  // destination for every page node.
+  function getChain(audioContext) {
+    let chain = chains.get(audioContext);
+    if (chain) return chain;
+
+    internal = true;
+    try {
+      const input = audioContext.createGain();
+      chain = EVCAudioChain.createChain(audioContext, input, settings);
+    } finally {
+      internal = false;
+    }
+    chains.set(audioContext, chain);
+    audioContext.addEventListener('statechange', () => {
+      if (audioContext.state === 'closed') chains.delete(audioContext);
+    });
+    return chain;
+  }
+
+  // Connect one output of a page node to its context's chain instead of the destination
+  function reroute(node, output) {
+    nativeConnect.call(node, getChain(node.context).source, output || 0);
+    rerouted.add(node);
+  }
+
+  // Note a connection to the destination made before the site opted in
+  function noteDirectConnection(node, output) {
+    if (!directOutputs.has(node)) {
+      directOutputs.set(node, new Set());
+      directNodes.add(new WeakRef(node));
+      if (directNodes.size > DIRECT_SWEEP_SIZE) {
+        directNodes.forEach(ref => {
+          if (!ref.deref()) directNodes.delete(ref);
+        });
+      }
+    }
+    directOutputs.get(node).add(output || 0);
+  }
+
+  // Forget noted connections the page removed (all of them without an output index)
+  function forgetDirectConnection(node, output) {
+    const outputs = directOutputs.get(node);
+    if (!outputs) return;
+    if (output === undefined) {
+      outputs.clear();
+    } else {
+      outputs.delete(output);
+    }
+  }
+
+  // Move the noted connections into the chains once the site opts in
+  function rerouteDirectConnections() {
+    directNodes.forEach(ref => {
+      const node = ref.deref();
+      const outputs = node && directOutputs.get(node);
+      if (!outputs || node.context.state === 'closed') return;
+      outputs.forEach(output => {
+        nativeDisconnect.call(node, node.context.destination, output);
+        reroute(node, output);
+      });
+    });
+    directNodes.clear();
+  }
+
+  AudioNode.prototype.connect = function (destination, output, input) {
+    if (!internal && isProcessedDestination(destination)) {
+      if (hooked) {
+        reroute(this, output);
+        return destination; // Keep connect() chaining behaviour for the page
+      }
+      noteDirectConnection(this, output);
+    }
+    return nativeConnect.apply(this, arguments);
+  };
+
+  AudioNode.prototype.disconnect = function (destination, ...rest) {
+    if (rerouted.has(this) && isProcessedDestination(destination) && chains.has(destination.context)) {
+      const result = nativeDisconnect.call(this, chains.get(destination.context).source, ...rest);
+      // Disconnecting a single output may leave others routed to the chain
+      if (rest.length === 0) rerouted.delete(this);
+      return result;
+    }
+    if (arguments.length === 0) rerouted.delete(this);
+    if (arguments.length === 0 || isProcessedDestination(destination)) {
+      forgetDirectConnection(this, rest[0]);
+    }
+    return nativeDisconnect.apply(this, arguments);
+  };
+
+  // Settings from the extension (JSON string { hook, scriptBaseUrl, settings },
+  // see webaudio-bridge.js)
+  document.addEventListener('evc-webaudio-settings', (event) => {
+    let detail;
+    try {
+      detail = JSON.parse(event.detail);
+    } catch (e) {
+      return;
+    }
+    if (!detail || !detail.settings) return;
+    settings = detail.settings;
+    internal = true;
+    try {
+      if (detail.hook && !hooked) {
+        hooked = true;
+        EVCAudioChain.setScriptBaseUrl(detail.scriptBaseUrl);
+        rerouteDirectConnections();
+      }
+      chains.forEach(chain => EVCAudioChain.configureChain(chain, settings));
+    } finally {
+      internal = false;
+    }
+  });
+
+  // Report the loudest level and largest reduction across running contexts
+  document.addEventListener('evc-webaudio-level-request', () => {
+    let levels = [-Infinity, -Infinity];
+    let peaks = [-Infinity, -Infinity];
+    let reduction = 0;
+    let limiterReduction = 0;
+    let bandReductions = null;
+    let loudness = null;
+    let gateOpen = null;
+    let active = false;
+    chains.forEach((chain, audioContext) => {
+      if (audioContext.state !== 'running') return;
+      active = true;
+      const chainLevels = EVCAudioChain.measureChannelLevels(chain);
+      levels = levels.map((value, i) => Math.max(value, chainLevels[i]));
+      const chainPeaks = EVCAudioChain.measureChannelPeaks(chain);
+      peaks = peaks.map((value, i) => Math.max(value, chainPeaks[i]));
+      reduction = Math.max(reduction, EVCAudioChain.getReduction(chain));
+      limiterReduction = Math.max(limiterReduction, EVCAudioChain.getLimiterReduction(chain));
+      const chainLoudness = EVCAudioChain.getLoudness(chain);
+      if (chainLoudness && (!loudness || chainLoudness.shortTerm > loudness.shortTerm)) loudness = chainLoudness;
+      const chainGateOpen = EVCAudioChain.isGateOpen(chain);
+      if (chainGateOpen !== null) gateOpen = gateOpen || chainGateOpen;
+      const bands = EVCAudioChain.getBandReductions(chain);
+      if (bands) {
+        bandReductions = bandReductions ? bandReductions.map((value, i) => Math.max(value, bands[i])) : bands;
+      }
+    });
+    document.dispatchEvent(new CustomEvent('evc-webaudio-level', {
+      detail: JSON.stringify({ active, levels: active ? levels : [-60, -60], peaks: active ? peaks : [-60, -60], reduction, bandReductions, limiterReduction, loudness, gateOpen })
+    }));
+  });
+
+  document.dispatchEvent(new CustomEvent('evc-webaudio-ready'));
+})();
@@ -0,0 +1,150 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Sidechain Compressor (AudioWorklet processor)
+ *
+ * Feed-forward compressor whose level detector listens to a high-passed copy
+ * of the input, while the gain is applied to the unfiltered audio. Bass lines
+ * and explosions then no longer pull the dialogue down with them. Threshold,
+ * ratio and the soft knee follow the same curve as DynamicsCompressorNode,
+ * including its automatic makeup gain, so switching between the two keeps
+ * the loudness. Loaded with audioWorklet.addModule() by audio-chain.js.
+ */
+
+// Gain reduction is reported to the main thread this often (seconds)
+const REPORT_INTERVAL_SECONDS = 0.02;
+// Exponent of DynamicsCompressorNode's makeup gain
+const MAKEUP_EXPONENT = 0.6;
+
+// Output level (dB) for an input level (dB); the knee starts at the threshold
+// (a copy of EVCAudioChain.compressorCurve, which worklets cannot load)
+function compressorCurve(inputDb, threshold, ratio, knee) {
+  if (inputDb <= threshold) return inputDb;
+  const slope = 1 / ratio;
+  if (inputDb < threshold + knee) {
+    const over = inputDb - threshold;
+    return inputDb + (slope - 1) * over * over / (2 * knee);
+  }
+  const kneeEnd = threshold + knee + (slope - 1) * knee / 2;
+  return kneeEnd + (inputDb - threshold - knee) * slope;
+}
+
+// Makeup gain (dB) for a curve, as EVCAudioChain.compressorMakeup
+function compressorMakeup(threshold, ratio, knee) {
+  return -compressorCurve(0, threshold, ratio, knee) * MAKEUP_EXPONENT;
+}
+
+class CompressorProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'threshold', defaultValue: -20, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'ratio', defaultValue: 4, minValue: 1, maxValue: 20, automationRate: 'k-rate' },
+      { name: 'knee', defaultValue: 10, minValue: 0, maxValue: 40, automationRate: 'k-rate' },
+      { name: 'attack', defaultValue: 0.003, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.25, minValue: 0.001, maxValue: 2, automationRate: 'k-rate' },
+      { name: 'highpass', defaultValue: 150, minValue: 10, maxValue: 2000, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.channelCount = 0;
+    this.filterFrequency = 0;
+    this.reduction = 0; // Smoothed gain reduction (dB, positive)
+    this.maxReduction = 0;
+    this.samplesUntilReport = Math.round(REPORT_INTERVAL_SECONDS * sampleRate);
+
+    // 'dispose' stops the processor once its chain is torn down
+    this.disposed = false;
+    this.port.onmessage = (event) => {
+      if (event.data === 'dispose') this.disposed = true;
+    };
+  }
+
+  // (Re)allocate the detector filter state when the input channel count changes
+  setChannelCount(count) {
+    this.channelCount = count;
+    this.filterStates = [];
+    for (let i = 0; i < count; i++) {
+      this.filterStates.push(new Float64Array(4)); // x[n-1], x[n-2], y[n-1], y[n-2]
+    }
+  }
+
+  // Butterworth high-pass coefficients for the detector (RBJ cookbook)
+  updateFilter(frequency) {
+    this.filterFrequency = frequency;
+    const w0 = 2 * Math.PI * Math.min(frequency, sampleRate * 0.45) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    this.b0 = (1 + cos) / 2 / a0;
+    this.b1 = -(1 + cos) / a0;
+    this.b2 = this.b0;
+    this.a1 = -2 * cos / a0;
+    this.a2 = (1 - alpha) / a0;
+  }
+
+  // Run one sample of a channel through the detector filter
+  filter(state, x) {
+    const y = this.b0 * x + this.b1 * state[0] + this.b2 * state[1] - this.a1 * state[2] - this.a2 * state[3];
+    state[1] = state[0];
+    state[0] = x;
+    state[3] = state[2];
+    state[2] = y;
+    return y;
+  }
+
+  process(inputs, outputs, parameters) {
+    if (this.disposed) return false;
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || input.length === 0) {
+      return true; // Nothing connected yet; stay alive
+    }
+    if (input.length !== this.channelCount) {
+      this.setChannelCount(input.length);
+    }
+    if (parameters.highpass[0] !== this.filterFrequency) {
+      this.updateFilter(parameters.highpass[0]);
+    }
+
+    const threshold = parameters.threshold[0];
+    const ratio = parameters.ratio[0];
+    const knee = parameters.knee[0];
+    const attackCoef = 1 - Math.exp(-1 / (parameters.attack[0] * sampleRate));
+    const releaseCoef = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+    const makeup = Math.pow(10, compressorMakeup(threshold, ratio, knee) / 20);
+    const frames = input[0].length;
+
+    for (let n = 0; n < frames; n++) {
+      // Peak of the filtered signal across channels (linked, so the stereo
+      // image does not shift)
+      let peak = 0;
+      for (let c = 0; c < this.channelCount; c++) {
+        const value = Math.abs(this.filter(this.filterStates[c], input[c][n]));
+        if (value > peak) peak = value;
+      }
+
+      // Reduction the curve asks for, smoothed with the attack and release times
+      const levelDb = 20 * Math.log10(Math.max(peak, 1e-6));
+      const target = levelDb - compressorCurve(levelDb, threshold, ratio, knee);
+      this.reduction += (target - this.reduction) * (target > this.reduction ? attackCoef : releaseCoef);
+
+      const gain = Math.pow(10, -this.reduction / 20) * makeup;
+      for (let c = 0; c < this.channelCount; c++) {
+        if (output[c]) output[c][n] = input[c][n] * gain;
+      }
+      if (this.reduction > this.maxReduction) this.maxReduction = this.reduction;
+    }
+
+    // Report the largest reduction since the last report
+    this.samplesUntilReport -= frames;
+    if (this.samplesUntilReport <= 0) {
+      this.port.postMessage({ reduction: this.maxReduction });
+      this.maxReduction = 0;
+      this.samplesUntilReport = Math.round(REPORT_INTERVAL_SECONDS * sampleRate);
+    }
+    return true;
+  }
+}
+
+registerProcessor('evc-compressor', CompressorProcessor);
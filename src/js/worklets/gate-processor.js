@@ -0,0 +1,98 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Expander/Gate (AudioWorklet processor)
+ *
+ * Downward expander that turns audio down by up to `range` dB while its level
+ * stays under the threshold, so hiss and room tone are not lifted along with
+ * quiet speech by the compressor and output gain. The gate opens with the
+ * attack time, stays open for the hold time after the level drops, then
+ * closes with the release time. Loaded with audioWorklet.addModule() by
+ * audio-chain.js.
+ */
+
+// Level detector decay (seconds): keeps the gate from chattering between cycles
+const DETECTOR_RELEASE_SECONDS = 0.01;
+// The gate state is reported to the main thread this often (seconds)
+const REPORT_INTERVAL_SECONDS = 0.05;
+
+class GateProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'range', defaultValue: 20, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+      { name: 'attack', defaultValue: 0.005, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'hold', defaultValue: 0.1, minValue: 0, maxValue: 5, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.2, minValue: 0.001, maxValue: 5, automationRate: 'k-rate' },
+      { name: 'active', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.detectorCoef = Math.exp(-1 / (DETECTOR_RELEASE_SECONDS * sampleRate));
+    this.level = 0; // Detected peak level (linear)
+    this.holdRemaining = 0; // Samples left before the gate may close
+    this.gain = 1; // Current gain (linear)
+    this.wasOpen = false; // Open at any point since the last report
+    this.samplesUntilReport = Math.round(REPORT_INTERVAL_SECONDS * sampleRate);
+    // 'dispose' stops the processor once its chain is torn down
+    this.disposed = false;
+    this.port.onmessage = (event) => {
+      if (event.data === 'dispose') this.disposed = true;
+    };
+  }
+
+  process(inputs, outputs, parameters) {
+    if (this.disposed) return false;
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || input.length === 0) {
+      return true; // Nothing connected yet; stay alive
+    }
+
+    const active = parameters.active[0] >= 0.5;
+    const threshold = Math.pow(10, parameters.threshold[0] / 20);
+    const floor = Math.pow(10, -parameters.range[0] / 20);
+    const holdSamples = parameters.hold[0] * sampleRate;
+    const attackCoef = 1 - Math.exp(-1 / (parameters.attack[0] * sampleRate));
+    const releaseCoef = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+    const frames = input[0].length;
+
+    for (let n = 0; n < frames; n++) {
+      // Peak level across channels (linked, so the stereo image does not shift)
+      let peak = 0;
+      for (let c = 0; c < input.length; c++) {
+        const value = Math.abs(input[c][n]);
+        if (value > peak) peak = value;
+      }
+      this.level = peak > this.level ? peak : this.level * this.detectorCoef;
+
+      let target;
+      if (!active || this.level >= threshold) {
+        this.holdRemaining = holdSamples;
+        target = 1;
+      } else if (this.holdRemaining > 0) {
+        this.holdRemaining--;
+        target = 1;
+      } else {
+        target = floor;
+      }
+      if (target === 1) this.wasOpen = true;
+
+      this.gain += (target - this.gain) * (target > this.gain ? attackCoef : releaseCoef);
+      for (let c = 0; c < input.length; c++) {
+        if (output[c]) output[c][n] = input[c][n] * this.gain;
+      }
+    }
+
+    this.samplesUntilReport -= frames;
+    if (this.samplesUntilReport <= 0) {
+      this.port.postMessage({ open: this.wasOpen, gain: 20 * Math.log10(Math.max(this.gain, 1e-6)) });
+      this.wasOpen = false;
+      this.samplesUntilReport = Math.round(REPORT_INTERVAL_SECONDS * sampleRate);
+    }
+    return true;
+  }
+}
+
+registerProcessor('evc-gate', GateProcessor);
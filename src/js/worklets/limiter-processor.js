@@ -0,0 +1,182 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Limiter (AudioWorklet processor)
+ *
+ * Look-ahead brick-wall limiter that keeps the true (inter-sample) peak of
+ * the output under the ceiling. Audio is delayed by the look-ahead time so
+ * the gain can come down smoothly before a peak arrives instead of clipping
+ * it. Loaded with audioWorklet.addModule() by audio-chain.js.
+ */
+
+// Look-ahead time in seconds (also the added latency)
+const LOOKAHEAD_SECONDS = 0.005;
+// Extra delay needed to see the samples around each one for true-peak detection
+const DETECTOR_DELAY = 2;
+// Gain reduction is reported to the main thread this often (seconds)
+const REPORT_INTERVAL_SECONDS = 0.05;
+
+// Catmull-Rom interpolation between p1 and p2 at fraction t
+function interpolate(p0, p1, p2, p3, t) {
+  return p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)));
+}
+
+// Largest absolute value reached between p1 and p2 (4x oversampled)
+function segmentPeak(p0, p1, p2, p3) {
+  return Math.max(
+    Math.abs(interpolate(p0, p1, p2, p3, 0.25)),
+    Math.abs(interpolate(p0, p1, p2, p3, 0.5)),
+    Math.abs(interpolate(p0, p1, p2, p3, 0.75))
+  );
+}
+
+class LimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'ceiling', defaultValue: -1, minValue: -30, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.05, minValue: 0.001, maxValue: 2, automationRate: 'k-rate' },
+      { name: 'active', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor() {
+    super();
+    this.lookahead = Math.max(1, Math.round(LOOKAHEAD_SECONDS * sampleRate));
+    this.windowSize = this.lookahead + 1;
+    this.channelCount = 0;
+
+    // Running minimum of the required gain over the look-ahead window
+    // (monotonic queue of sample positions and gains)
+    this.minPositions = new Float64Array(this.windowSize + 1);
+    this.minValues = new Float32Array(this.windowSize + 1);
+    this.minHead = 0;
+    this.minLength = 0;
+    this.position = 0;
+
+    // Moving average of the released gain, so the gain ramps down over the window
+    this.averageBuffer = new Float32Array(this.windowSize).fill(1);
+    this.averageIndex = 0;
+    this.averageSum = this.windowSize;
+
+    this.envelope = 1;
+    this.maxReduction = 0;
+    this.samplesUntilReport = Math.round(REPORT_INTERVAL_SECONDS * sampleRate);
+
+    // 'dispose' stops the processor once its chain is torn down
+    this.disposed = false;
+    this.port.onmessage = (event) => {
+      if (event.data === 'dispose') this.disposed = true;
+    };
+  }
+
+  // (Re)allocate per-channel state when the input channel count changes
+  setChannelCount(count) {
+    this.channelCount = count;
+    this.delayLength = this.lookahead + DETECTOR_DELAY + 1;
+    this.delayLines = [];
+    this.histories = [];
+    for (let i = 0; i < count; i++) {
+      this.delayLines.push(new Float32Array(this.delayLength));
+      this.histories.push(new Float32Array(5)); // x[n-4] .. x[n]
+    }
+    this.delayIndex = 0;
+  }
+
+  // Add a required gain to the running-minimum queue and return the window minimum
+  pushRequiredGain(gain) {
+    const capacity = this.minPositions.length;
+    while (this.minLength > 0) {
+      const last = (this.minHead + this.minLength - 1) % capacity;
+      if (this.minValues[last] > gain) {
+        this.minLength--;
+      } else {
+        break;
+      }
+    }
+    const tail = (this.minHead + this.minLength) % capacity;
+    this.minPositions[tail] = this.position;
+    this.minValues[tail] = gain;
+    this.minLength++;
+
+    while (this.minPositions[this.minHead] <= this.position - this.windowSize) {
+      this.minHead = (this.minHead + 1) % capacity;
+      this.minLength--;
+    }
+    this.position++;
+    return this.minValues[this.minHead];
+  }
+
+  process(inputs, outputs, parameters) {
+    if (this.disposed) return false;
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || input.length === 0) {
+      return true; // Nothing connected yet; stay alive
+    }
+    if (input.length !== this.channelCount) {
+      this.setChannelCount(input.length);
+    }
+
+    const ceiling = Math.pow(10, parameters.ceiling[0] / 20);
+    const releaseCoef = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+    const active = parameters.active[0] >= 0.5;
+    const frames = input[0].length;
+
+    for (let n = 0; n < frames; n++) {
+      // True peak of the sample DETECTOR_DELAY samples back, including the
+      // inter-sample peaks on either side of it
+      let peak = 0;
+      for (let c = 0; c < this.channelCount; c++) {
+        const h = this.histories[c];
+        h.copyWithin(0, 1);
+        h[4] = input[c][n];
+        const channelPeak = Math.max(
+          Math.abs(h[2]),
+          segmentPeak(h[0], h[1], h[2], h[3]),
+          segmentPeak(h[1], h[2], h[3], h[4])
+        );
+        if (channelPeak > peak) peak = channelPeak;
+
+        this.delayLines[c][this.delayIndex] = input[c][n];
+      }
+
+      const required = active && peak > ceiling ? ceiling / peak : 1;
+      const windowMin = this.pushRequiredGain(required);
+
+      // Instant attack down to the window minimum, exponential release back up
+      if (windowMin < this.envelope) {
+        this.envelope = windowMin;
+      } else {
+        this.envelope += (windowMin - this.envelope) * releaseCoef;
+      }
+
+      this.averageSum += this.envelope - this.averageBuffer[this.averageIndex];
+      this.averageBuffer[this.averageIndex] = this.envelope;
+      this.averageIndex = (this.averageIndex + 1) % this.windowSize;
+      if (this.averageIndex === 0) {
+        // Recompute now and then so rounding errors do not accumulate
+        this.averageSum = this.averageBuffer.reduce((sum, value) => sum + value, 0);
+      }
+      const gain = Math.min(1, this.averageSum / this.windowSize);
+
+      const readIndex = (this.delayIndex + 1) % this.delayLength;
+      for (let c = 0; c < this.channelCount; c++) {
+        if (output[c]) output[c][n] = this.delayLines[c][readIndex] * gain;
+      }
+      this.delayIndex = readIndex;
+
+      const reduction = -20 * Math.log10(Math.max(gain, 1e-6));
+      if (reduction > this.maxReduction) this.maxReduction = reduction;
+    }
+
+    // Report the largest reduction since the last report
+    this.samplesUntilReport -= frames;
+    if (this.samplesUntilReport <= 0) {
+      this.port.postMessage({ reduction: this.maxReduction });
+      this.maxReduction = 0;
+      this.samplesUntilReport = Math.round(REPORT_INTERVAL_SECONDS * sampleRate);
+    }
+    return true;
+  }
+}
+
+registerProcessor('evc-limiter', LimiterProcessor);
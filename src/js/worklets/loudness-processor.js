@@ -0,0 +1,200 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Loudness Meter (AudioWorklet processor)
+ *
+ * Measures loudness as described in ITU-R BS.1770: K-weighting (high shelf +
+ * high pass) per channel, mean square per 100 ms block, then momentary
+ * (400 ms), short-term (3 s) and gated integrated loudness in LUFS. Results
+ * are posted to the main thread after every block. Loaded with
+ * audioWorklet.addModule() by audio-chain.js.
+ */
+
+// Block length for the running measurements (seconds)
+const BLOCK_SECONDS = 0.1;
+// Window lengths in blocks
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+// Gating for integrated loudness (LUFS / LU)
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+// Histogram of gating-block loudness for integrated loudness (0.1 LU bins)
+const HISTOGRAM_MIN = ABSOLUTE_GATE;
+const HISTOGRAM_BIN = 0.1;
+const HISTOGRAM_SIZE = 800; // -70 .. +10 LUFS
+// Channel weights for L, R, C, LFE, Ls, Rs
+const CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// Loudness in LUFS of a weighted mean square
+function toLufs(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+// Biquad coefficients for the K-weighting stages at any sample rate
+// (the BS.1770 48 kHz filters, re-derived from their analog prototypes)
+function kWeightingCoefficients(rate) {
+  // Stage 1: high shelf modelling the acoustic effect of the head
+  let K = Math.tan(Math.PI * 1681.974450955533 / rate);
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  const Q1 = 0.7071752369554196;
+  let a0 = 1 + K / Q1 + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q1 + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q1 + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q1 + K * K) / a0
+  };
+
+  // Stage 2: RLB high pass
+  K = Math.tan(Math.PI * 38.13547087602444 / rate);
+  const Q2 = 0.5003270373238773;
+  a0 = 1 + K / Q2 + K * K;
+  const highpass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q2 + K * K) / a0
+  };
+  return [shelf, highpass];
+}
+
+class LoudnessProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.stages = kWeightingCoefficients(sampleRate);
+    this.blockLength = Math.round(BLOCK_SECONDS * sampleRate);
+    this.channelCount = 0;
+    this.reset();
+
+    // 'reset' starts a new integrated measurement; 'dispose' stops the
+    // processor once its chain is torn down
+    this.disposed = false;
+    this.port.onmessage = (event) => {
+      if (event.data === 'reset') this.reset();
+      if (event.data === 'dispose') this.disposed = true;
+    };
+  }
+
+  reset() {
+    this.filterStates = [];
+    this.blockSums = [];
+    this.blockPosition = 0;
+    this.blockPowers = new Float64Array(SHORT_TERM_BLOCKS); // Weighted mean square per block
+    this.blockCount = 0;
+    this.histogramCounts = new Uint32Array(HISTOGRAM_SIZE);
+    this.histogramPowers = new Float64Array(HISTOGRAM_SIZE);
+    this.setChannelCount(this.channelCount);
+  }
+
+  // Per-channel filter state (two biquads, direct form I) and block sums
+  setChannelCount(count) {
+    this.channelCount = count;
+    this.filterStates = [];
+    this.blockSums = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      this.filterStates.push(new Float64Array(8)); // x1, x2, y1, y2 for each stage
+    }
+  }
+
+  // Mean of the last `count` block powers
+  averagePower(count) {
+    const available = Math.min(count, this.blockCount);
+    if (available === 0) return 0;
+    let sum = 0;
+    for (let i = 1; i <= available; i++) {
+      sum += this.blockPowers[(this.blockCount - i) % SHORT_TERM_BLOCKS];
+    }
+    return sum / available;
+  }
+
+  // Gated integrated loudness from the histogram of 400 ms gating blocks
+  integratedLoudness() {
+    let count = 0;
+    let power = 0;
+    for (let i = 0; i < HISTOGRAM_SIZE; i++) {
+      count += this.histogramCounts[i];
+      power += this.histogramPowers[i];
+    }
+    if (count === 0) return -Infinity;
+
+    const relativeGate = toLufs(power / count) + RELATIVE_GATE;
+    const firstBin = Math.max(0, Math.ceil((relativeGate - HISTOGRAM_MIN) / HISTOGRAM_BIN));
+    count = 0;
+    power = 0;
+    for (let i = firstBin; i < HISTOGRAM_SIZE; i++) {
+      count += this.histogramCounts[i];
+      power += this.histogramPowers[i];
+    }
+    return count > 0 ? toLufs(power / count) : -Infinity;
+  }
+
+  // Close a 100 ms block: store its power, update the gating histogram and report
+  finishBlock() {
+    let power = 0;
+    for (let c = 0; c < this.channelCount; c++) {
+      const weight = CHANNEL_WEIGHTS[c] !== undefined ? CHANNEL_WEIGHTS[c] : 1;
+      power += weight * this.blockSums[c] / this.blockLength;
+      this.blockSums[c] = 0;
+    }
+    this.blockPowers[this.blockCount % SHORT_TERM_BLOCKS] = power;
+    this.blockCount++;
+
+    // Gating blocks are 400 ms with 75% overlap, i.e. one per 100 ms block
+    const momentaryPower = this.averagePower(MOMENTARY_BLOCKS);
+    const momentary = toLufs(momentaryPower);
+    if (this.blockCount >= MOMENTARY_BLOCKS && momentary > ABSOLUTE_GATE) {
+      const bin = Math.min(HISTOGRAM_SIZE - 1, Math.floor((momentary - HISTOGRAM_MIN) / HISTOGRAM_BIN));
+      this.histogramCounts[bin]++;
+      this.histogramPowers[bin] += momentaryPower;
+    }
+
+    this.port.postMessage({
+      momentary,
+      shortTerm: toLufs(this.averagePower(SHORT_TERM_BLOCKS)),
+      integrated: this.integratedLoudness()
+    });
+  }
+
+  process(inputs) {
+    if (this.disposed) return false;
+    const input = inputs[0];
+    if (!input || input.length === 0) {
+      return true; // Nothing connected yet; stay alive
+    }
+    if (input.length !== this.channelCount) {
+      this.setChannelCount(input.length);
+    }
+
+    const [shelf, highpass] = this.stages;
+    const frames = input[0].length;
+    let n = 0;
+    while (n < frames) {
+      const end = Math.min(frames, n + this.blockLength - this.blockPosition);
+      for (let c = 0; c < this.channelCount; c++) {
+        const samples = input[c];
+        const s = this.filterStates[c];
+        let sum = 0;
+        for (let i = n; i < end; i++) {
+          const x = samples[i];
+          const y1 = shelf.b0 * x + shelf.b1 * s[0] + shelf.b2 * s[1] - shelf.a1 * s[2] - shelf.a2 * s[3];
+          s[1] = s[0]; s[0] = x; s[3] = s[2]; s[2] = y1;
+          const y2 = highpass.b0 * y1 + highpass.b1 * s[4] + highpass.b2 * s[5] - highpass.a1 * s[6] - highpass.a2 * s[7];
+          s[5] = s[4]; s[4] = y1; s[7] = s[6]; s[6] = y2;
+          sum += y2 * y2;
+        }
+        this.blockSums[c] += sum;
+      }
+      this.blockPosition += end - n;
+      n = end;
+      if (this.blockPosition >= this.blockLength) {
+        this.blockPosition = 0;
+        this.finishBlock();
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor('evc-loudness', LoudnessProcessor);
@@ -0,0 +1,549 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Options Script
+ *
+ * Lists every saved settings key (hostnames, file URLs, tab-N keys) and lets
+ * the user search, edit, duplicate and bulk-delete them through the background script.
+ * Also edits the global default applied to every site without a profile
+ * and the extension-wide preferences (including sync and the sites the
+ * content scripts run on).
+ */
+
+// DOM Elements
+const searchInput = document.getElementById('search-input');
+const refreshButton = document.getElementById('refresh-button');
+const deleteSelectedButton = document.getElementById('delete-selected-button');
+const selectAllCheckbox = document.getElementById('select-all');
+const profilesBody = document.getElementById('profiles-body');
+const emptyMessage = document.getElementById('empty-message');
+const statusEl = document.getElementById('status');
+const editor = document.getElementById('editor');
+const editorTitle = document.getElementById('editor-title');
+const editKey = document.getElementById('edit-key');
+const editEnabled = document.getElementById('edit-enabled');
+const editPreset = document.getElementById('edit-preset');
+const editThreshold = document.getElementById('edit-threshold');
+const editRatio = document.getElementById('edit-ratio');
+const editAttack = document.getElementById('edit-attack');
+const editRelease = document.getElementById('edit-release');
+const editOutputGain = document.getElementById('edit-output-gain');
+const saveButton = document.getElementById('save-button');
+const cancelButton = document.getElementById('cancel-button');
+const defaultEnabled = document.getElementById('default-enabled');
+const saveDefaultButton = document.getElementById('save-default-button');
+const factoryDefaultButton = document.getElementById('factory-default-button');
+const defaultStatus = document.getElementById('default-status');
+const prefBadgeReduction = document.getElementById('pref-badge-reduction');
+const prefSync = document.getElementById('pref-sync');
+const prefMeterRate = document.getElementById('pref-meter-rate');
+const syncStatusEl = document.getElementById('sync-status');
+const prefSiteMode = document.getElementById('pref-site-mode');
+const prefAllowedSites = document.getElementById('pref-allowed-sites');
+const prefBlockedSites = document.getElementById('pref-blocked-sites');
+const saveSitesButton = document.getElementById('save-sites-button');
+const sitesStatus = document.getElementById('sites-status');
+
+// Compressor value inputs of the profile editor and the global default form
+// (attack and release are edited in ms)
+const editorFields = {
+  threshold: editThreshold,
+  ratio: editRatio,
+  attack: editAttack,
+  release: editRelease,
+  outputGain: editOutputGain
+};
+const defaultFields = {
+  threshold: document.getElementById('default-threshold'),
+  ratio: document.getElementById('default-ratio'),
+  attack: document.getElementById('default-attack'),
+  release: document.getElementById('default-release'),
+  outputGain: document.getElementById('default-output-gain')
+};
+
+// All stored settings, as returned by the background script
+let siteSettings = {};
+// Effective settings per key (preset references resolved)
+let resolvedSettings = {};
+// Available presets (built-in and user-defined)
+let presets = [];
+// Defaults used to fill in values a stored entry does not define
+let defaultSettings = {};
+// Keys currently checked in the table
+const selectedKeys = new Set();
+// Key being edited (null when duplicating into a new key)
+let editingKey = null;
+// Key whose values the editor was opened with
+let sourceKey = null;
+
+// Initialize options page
+document.addEventListener('DOMContentLoaded', async () => {
+  searchInput.addEventListener('input', renderTable);
+  refreshButton.addEventListener('click', loadSettings);
+  deleteSelectedButton.addEventListener('click', handleDeleteSelected);
+  selectAllCheckbox.addEventListener('change', handleSelectAll);
+  saveButton.addEventListener('click', handleSave);
+  cancelButton.addEventListener('click', closeEditor);
+  editPreset.addEventListener('change', handleEditorPresetChange);
+  saveDefaultButton.addEventListener('click', () => handleSaveGlobalDefault(false));
+  factoryDefaultButton.addEventListener('click', () => handleSaveGlobalDefault(true));
+  prefBadgeReduction.addEventListener('change', handlePreferenceChange);
+  prefSync.addEventListener('change', handlePreferenceChange);
+  prefMeterRate.addEventListener('change', handlePreferenceChange);
+  prefSiteMode.addEventListener('change', handleSaveSites);
+  saveSitesButton.addEventListener('click', handleSaveSites);
+  browser.runtime.onMessage.addListener(message => {
+    if (message.type === 'SYNC_STATUS_CHANGED') renderSyncStatus(message.status);
+  });
+  // Keep the table current when profiles change elsewhere (popup, shortcuts, sync)
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.siteSettings || changes.userPresets)) loadSettings();
+    // The popup's "Enable on this site" edits the site lists
+    if (areaName === 'local' && changes.preferences) loadPreferences();
+  });
+
+  await loadPreferences();
+  await loadGlobalDefault();
+  await loadSettings();
+});
+
+// Load every stored key from the background script
+async function loadSettings() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'LIST_SETTINGS' });
+    if (response.error) {
+      showStatus(`Error loading profiles: ${response.error}`, true);
+      return;
+    }
+    siteSettings = response.siteSettings || {};
+    resolvedSettings = response.resolved || {};
+    presets = response.presets || [];
+    defaultSettings = response.defaults || {};
+  } catch (error) {
+    console.error("Error loading settings list:", error);
+    showStatus("Error loading profiles.", true);
+    return;
+  }
+
+  // Drop selections for keys that no longer exist
+  selectedKeys.forEach(key => {
+    if (!siteSettings.hasOwnProperty(key)) selectedKeys.delete(key);
+  });
+  renderPresetOptions();
+  renderTable();
+}
+
+// Name of the preset a stored entry references, or '' for custom values
+function getPresetName(key) {
+  const preset = presets.find(p => p.id === siteSettings[key].preset);
+  return preset ? preset.name : '';
+}
+
+// Fill the editor's preset picker
+function renderPresetOptions() {
+  const selected = editPreset.value;
+  editPreset.textContent = '';
+  const customOption = document.createElement('option');
+  customOption.value = '';
+  customOption.textContent = 'Custom values';
+  editPreset.appendChild(customOption);
+  presets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.builtin ? preset.name : `${preset.name} (user)`;
+    editPreset.appendChild(option);
+  });
+  editPreset.value = selected;
+}
+
+// Describe what kind of key this is (pattern types come from ../js/rules.js)
+function getKeyType(key) {
+  return describePattern(key);
+}
+
+// Keys matching the current search text (matches key, type and values)
+function getFilteredKeys() {
+  const query = searchInput.value.trim().toLowerCase();
+  return Object.keys(siteSettings).sort().filter(key => {
+    if (!query) return true;
+    const haystack = `${key} ${getKeyType(key)} ${getPresetName(key)} ${JSON.stringify(siteSettings[key])}`.toLowerCase();
+    return haystack.includes(query);
+  });
+}
+
+// Rebuild the profile table
+function renderTable() {
+  profilesBody.textContent = '';
+  const keys = getFilteredKeys();
+
+  keys.forEach(key => {
+    const settings = { ...defaultSettings, ...resolvedSettings[key] };
+    const row = document.createElement('tr');
+
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedKeys.has(key);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedKeys.add(key);
+      } else {
+        selectedKeys.delete(key);
+      }
+      updateSelectionControls();
+    });
+    selectCell.appendChild(checkbox);
+    row.appendChild(selectCell);
+
+    const cells = [
+      key,
+      getKeyType(key),
+      settings.enabled ? 'On' : 'Off',
+      getPresetName(key) || '-',
+      `${settings.threshold} dB`,
+      `${parseFloat(settings.ratio).toFixed(1)}:1`,
+      `${Math.round(settings.attack * 1000)} ms`,
+      `${Math.round(settings.release * 1000)} ms`,
+      `${parseFloat(settings.outputGain).toFixed(1)} dB`
+    ];
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === 0) cell.className = 'key-cell';
+      row.appendChild(cell);
+    });
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'actions-cell';
+    const editButton = document.createElement('button');
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => openEditor(key, false));
+    const duplicateButton = document.createElement('button');
+    duplicateButton.textContent = 'Duplicate';
+    duplicateButton.className = 'btn-secondary';
+    duplicateButton.addEventListener('click', () => openEditor(key, true));
+    actionsCell.appendChild(editButton);
+    actionsCell.appendChild(duplicateButton);
+    row.appendChild(actionsCell);
+
+    profilesBody.appendChild(row);
+  });
+
+  emptyMessage.hidden = keys.length > 0;
+  updateSelectionControls();
+}
+
+// Sync the "select all" checkbox and bulk buttons with the current selection
+function updateSelectionControls() {
+  const visibleKeys = getFilteredKeys();
+  deleteSelectedButton.disabled = selectedKeys.size === 0;
+  deleteSelectedButton.textContent = selectedKeys.size > 0
+    ? `Delete Selected (${selectedKeys.size})`
+    : 'Delete Selected';
+  selectAllCheckbox.checked = visibleKeys.length > 0 && visibleKeys.every(key => selectedKeys.has(key));
+}
+
+// Select or deselect every visible row
+function handleSelectAll() {
+  getFilteredKeys().forEach(key => {
+    if (selectAllCheckbox.checked) {
+      selectedKeys.add(key);
+    } else {
+      selectedKeys.delete(key);
+    }
+  });
+  renderTable();
+}
+
+// Delete all selected keys in one request
+async function handleDeleteSelected() {
+  const keys = Array.from(selectedKeys);
+  if (keys.length === 0) return;
+  if (!confirm(`Delete ${keys.length} saved profile(s)?`)) return;
+
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'DELETE_SETTINGS', keys });
+    if (response.error) {
+      showStatus(`Error deleting profiles: ${response.error}`, true);
+      return;
+    }
+    keys.forEach(key => selectedKeys.delete(key));
+    if (editingKey && keys.includes(editingKey)) closeEditor();
+    showStatus(`Deleted ${response.deleted.length} profile(s).`);
+  } catch (error) {
+    console.error("Error deleting settings:", error);
+    showStatus("Error deleting profiles.", true);
+  }
+  await loadSettings();
+}
+
+// Open the editor for a key; when duplicating, the key field starts empty
+function openEditor(key, duplicate) {
+  const settings = { ...defaultSettings, ...resolvedSettings[key] };
+  editingKey = duplicate ? null : key;
+  sourceKey = key;
+  editorTitle.textContent = duplicate ? `Duplicate "${key}"` : `Edit "${key}"`;
+  editKey.value = duplicate ? '' : key;
+  editEnabled.checked = settings.enabled;
+  editPreset.value = siteSettings[key].preset && presets.some(p => p.id === siteSettings[key].preset)
+    ? siteSettings[key].preset
+    : '';
+  fillEditorValues(settings);
+  editor.hidden = false;
+  editKey.focus();
+}
+
+// Put compressor values into a set of value inputs
+function fillValueFields(fields, settings) {
+  COMPRESSOR_FIELDS.forEach(field => {
+    const isTime = field === 'attack' || field === 'release';
+    fields[field].value = isTime ? Math.round(settings[field] * 1000) : settings[field]; // s to ms
+  });
+}
+
+// Read compressor values from a set of value inputs; null if any is invalid
+function readValueFields(fields) {
+  const values = {};
+  for (const field of COMPRESSOR_FIELDS) {
+    const value = readNumber(fields[field]);
+    if (value === null) return null;
+    const isTime = field === 'attack' || field === 'release';
+    values[field] = isTime ? value / 1000 : value; // Convert ms to s
+  }
+  return values;
+}
+
+// Put compressor values into the editor fields
+function fillEditorValues(settings) {
+  fillValueFields(editorFields, settings);
+  updateEditorValueFields();
+}
+
+// Values come from the preset while one is selected
+function updateEditorValueFields() {
+  Object.values(editorFields).forEach(input => {
+    input.disabled = editPreset.value !== '';
+  });
+}
+
+// Show the chosen preset's values in the editor
+function handleEditorPresetChange() {
+  const preset = presets.find(p => p.id === editPreset.value);
+  if (preset) {
+    fillEditorValues({ ...defaultSettings, ...preset.settings });
+  } else {
+    updateEditorValueFields();
+  }
+}
+
+// Hide the editor
+function closeEditor() {
+  editingKey = null;
+  sourceKey = null;
+  editor.hidden = true;
+}
+
+// Read and clamp a numeric editor field
+function readNumber(input) {
+  const value = parseFloat(input.value);
+  const min = parseFloat(input.min);
+  const max = parseFloat(input.max);
+  if (isNaN(value)) return null;
+  return Math.max(min, Math.min(max, value));
+}
+
+// Save the editor contents (edit, rename or duplicate)
+async function handleSave() {
+  const key = editKey.value.trim();
+  if (!key) {
+    showStatus("Key must not be empty.", true);
+    return;
+  }
+  if (!parsePattern(key)) {
+    showStatus(`"${key}" is not a valid pattern.`, true);
+    return;
+  }
+
+  const values = readValueFields(editorFields);
+  if (!values) {
+    showStatus("All values must be numbers.", true);
+    return;
+  }
+
+  if (key !== editingKey && siteSettings.hasOwnProperty(key) &&
+      !confirm(`A profile for "${key}" already exists. Overwrite it?`)) {
+    return;
+  }
+
+  const newSettings = {
+    ...siteSettings[sourceKey],
+    enabled: editEnabled.checked,
+    preset: editPreset.value || null,
+    ...values
+  };
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'UPDATE_SETTINGS',
+      key,
+      settings: newSettings
+    });
+    if (response.error) {
+      showStatus(`Error saving "${key}": ${response.error}`, true);
+      return;
+    }
+
+    // Renaming an existing key removes the old entry
+    if (editingKey && key !== editingKey) {
+      await browser.runtime.sendMessage({ type: 'DELETE_SETTINGS', keys: [editingKey] });
+      selectedKeys.delete(editingKey);
+    }
+    showStatus(`Saved "${key}".`);
+    closeEditor();
+  } catch (error) {
+    console.error(`Error saving settings for key "${key}":`, error);
+    showStatus(`Error saving "${key}".`, true);
+  }
+  await loadSettings();
+}
+
+// Show a status line above the table
+function showStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle('error', isError);
+}
+
+// Load the global default into its form
+async function loadGlobalDefault() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_GLOBAL_DEFAULT' });
+    defaultEnabled.checked = response.settings.enabled;
+    fillValueFields(defaultFields, response.settings);
+    defaultStatus.textContent = response.isFactory ? 'Using factory values.' : 'Using your custom default.';
+  } catch (error) {
+    console.error("Error loading global default:", error);
+    defaultStatus.textContent = 'Error loading the global default.';
+  }
+}
+
+// Save the global default form, or restore the factory values
+async function handleSaveGlobalDefault(factory) {
+  let settings = null;
+  if (!factory) {
+    const values = readValueFields(defaultFields);
+    if (!values) {
+      defaultStatus.textContent = 'All values must be numbers.';
+      return;
+    }
+    settings = { enabled: defaultEnabled.checked, ...values };
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'SET_GLOBAL_DEFAULT', settings });
+    if (response.error) {
+      defaultStatus.textContent = `Error saving the global default: ${response.error}`;
+      return;
+    }
+  } catch (error) {
+    console.error("Error saving global default:", error);
+    defaultStatus.textContent = 'Error saving the global default.';
+    return;
+  }
+  await loadGlobalDefault();
+  // Profiles without their own values display the new default
+  await loadSettings();
+}
+
+// Load the extension-wide preferences
+async function loadPreferences() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_PREFERENCES' });
+    prefBadgeReduction.checked = response.preferences.badgeReduction;
+    prefSync.checked = response.preferences.sync;
+    prefMeterRate.value = String(response.preferences.meterRate);
+    renderSitePreferences(response.preferences);
+    const syncResponse = await browser.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+    renderSyncStatus(syncResponse.status);
+  } catch (error) {
+    console.error("Error loading preferences:", error);
+  }
+}
+
+// Fill in the site mode and lists
+function renderSitePreferences(preferences) {
+  prefSiteMode.value = preferences.siteMode;
+  prefAllowedSites.value = preferences.allowedSites.join('\n');
+  prefBlockedSites.value = preferences.blockedSites.join('\n');
+}
+
+// Entries of a site list textarea, one per line
+function readSiteList(textarea) {
+  return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Save the site mode and lists; nothing is saved while an entry is invalid
+async function handleSaveSites() {
+  const allowedSites = readSiteList(prefAllowedSites);
+  const blockedSites = readSiteList(prefBlockedSites);
+  const invalid = [...allowedSites, ...blockedSites].filter(key => !isSiteListPattern(key));
+  if (invalid.length > 0) {
+    sitesStatus.textContent = `Not a site pattern: ${invalid.join(', ')}`;
+    sitesStatus.classList.add('error');
+    return;
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'SET_PREFERENCES',
+      preferences: { siteMode: prefSiteMode.value, allowedSites, blockedSites }
+    });
+    if (response.error) {
+      // Nothing was saved; the lists keep what the user typed so it can be corrected
+      sitesStatus.textContent = `Not saved. ${response.error}`;
+      sitesStatus.classList.add('error');
+      return;
+    }
+    renderSitePreferences(response.preferences);
+    sitesStatus.textContent = prefSiteMode.value === 'allowlist' && allowedSites.length === 0
+      ? 'Saved. The allow list is empty, so no site is processed.'
+      : 'Saved.';
+    sitesStatus.classList.remove('error');
+  } catch (error) {
+    console.error("Error saving site lists:", error);
+    sitesStatus.textContent = 'Could not save the site lists.';
+    sitesStatus.classList.add('error');
+  }
+}
+
+// Show the outcome of the latest sync (quota errors included)
+function renderSyncStatus(status) {
+  if (!prefSync.checked || status.state === 'off') {
+    syncStatusEl.textContent = '';
+  } else if (status.state === 'error') {
+    syncStatusEl.textContent = `Sync failed: ${status.message}`;
+  } else {
+    syncStatusEl.textContent = `Synced at ${new Date(status.time).toLocaleTimeString()}.`;
+    // Show how close the synced profiles and presets are to the quotas
+    if (status.usage) syncStatusEl.textContent += ` Using ${describeSyncUsage(status.usage)}.`;
+  }
+  syncStatusEl.classList.toggle('error', status.state === 'error');
+}
+
+// Save the preferences as soon as one changes
+async function handlePreferenceChange() {
+  try {
+    await browser.runtime.sendMessage({
+      type: 'SET_PREFERENCES',
+      preferences: {
+        badgeReduction: prefBadgeReduction.checked,
+        sync: prefSync.checked,
+        meterRate: parseInt(prefMeterRate.value, 10)
+      }
+    });
+    // Switching sync on merges with the other devices first
+    const syncResponse = await browser.runtime.sendMessage({ type: 'GET_SYNC_STATUS' });
+    renderSyncStatus(syncResponse.status);
+    if (prefSync.checked) await loadSettings();
+  } catch (error) {
+    console.error("Error saving preferences:", error);
+  }
+}
@@ -0,0 +1,272 @@
+"use strict";
+/**
+ * Easy Volume Compressor - EQ Graph
+ *
+ * Draws the EQ frequency response in the popup and lets the user drag the
+ * handles: parametric bands move in frequency and gain (mouse wheel changes
+ * Q), the high-pass and low-pass handles move in frequency. The curve comes
+ * from getFrequencyResponse() on the same filters audio-chain.js builds for
+ * the real chain, so it matches what is applied.
+ */
+
+// Display range
+const EQ_MIN_FREQUENCY = 20;
+const EQ_MAX_FREQUENCY = 20000;
+const EQ_GAIN_RANGE = 15; // +/- dB
+// Limits for each kind of handle
+const EQ_LIMITS = {
+  highpass: { min: 20, max: 500 },
+  lowpass: { min: 2000, max: 20000 },
+  band: { min: 40, max: 16000 },
+  q: { min: 0.3, max: 8 }
+};
+const HANDLE_RADIUS = 7;
+
+class EqGraph {
+  // onChange receives partial settings ({ eqHighpass } / { eqLowpass } / { eqBands })
+  constructor(canvas, readout, onChange) {
+    this.canvas = canvas;
+    this.readout = readout;
+    this.onChange = onChange;
+    this.settings = null;
+    this.dragging = null; // Handle being dragged
+    this.selected = null; // Handle shown in the readout
+
+    // Filters for computing the curve (never rendered)
+    const audioContext = new OfflineAudioContext(1, 128, 48000);
+    this.eq = EVCAudioChain.createEqFilters(audioContext);
+
+    // Log-spaced frequencies, one per pixel column
+    this.frequencies = new Float32Array(canvas.width);
+    for (let x = 0; x < canvas.width; x++) {
+      this.frequencies[x] = this.xToFrequency(x);
+    }
+
+    canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    canvas.addEventListener('pointerup', () => { this.dragging = null; });
+    canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+  }
+
+  // Show a settings object's EQ curve
+  setSettings(settings) {
+    this.settings = settings;
+    EVCAudioChain.configureEq(this.eq, settings);
+    this.draw();
+    this.updateReadout();
+  }
+
+  xToFrequency(x) {
+    const ratio = x / (this.canvas.width - 1);
+    return EQ_MIN_FREQUENCY * Math.pow(EQ_MAX_FREQUENCY / EQ_MIN_FREQUENCY, ratio);
+  }
+
+  frequencyToX(frequency) {
+    return Math.log(frequency / EQ_MIN_FREQUENCY) / Math.log(EQ_MAX_FREQUENCY / EQ_MIN_FREQUENCY) * (this.canvas.width - 1);
+  }
+
+  gainToY(gain) {
+    return (1 - (gain + EQ_GAIN_RANGE) / (EQ_GAIN_RANGE * 2)) * this.canvas.height;
+  }
+
+  yToGain(y) {
+    return (1 - y / this.canvas.height) * EQ_GAIN_RANGE * 2 - EQ_GAIN_RANGE;
+  }
+
+  // Combined response of all filters in dB, one value per pixel column
+  computeResponse() {
+    const count = this.frequencies.length;
+    const total = new Float32Array(count).fill(1);
+    const magnitude = new Float32Array(count);
+    const phase = new Float32Array(count);
+    this.eq.filters.forEach(filter => {
+      filter.getFrequencyResponse(this.frequencies, magnitude, phase);
+      for (let i = 0; i < count; i++) total[i] *= magnitude[i];
+    });
+    return total.map(value => 20 * Math.log10(Math.max(value, 1e-6)));
+  }
+
+  // Handles as { id, x, y, label }: 'highpass', 'lowpass' and 'band-N'
+  getHandles() {
+    const settings = this.settings;
+    const handles = [
+      { id: 'highpass', x: this.frequencyToX(settings.eqHighpass), y: this.gainToY(0), label: 'HP' },
+      { id: 'lowpass', x: this.frequencyToX(settings.eqLowpass), y: this.gainToY(0), label: 'LP' }
+    ];
+    settings.eqBands.forEach((band, i) => {
+      handles.push({ id: `band-${i}`, x: this.frequencyToX(band.frequency), y: this.gainToY(band.gain), label: `${i + 1}` });
+    });
+    return handles;
+  }
+
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    // Grid: decades and +/-6/12 dB
+    ctx.strokeStyle = 'rgba(0,0,0,0.08)';
+    ctx.lineWidth = 1;
+    [100, 1000, 10000].forEach(frequency => {
+      const x = Math.round(this.frequencyToX(frequency)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    });
+    [-12, -6, 0, 6, 12].forEach(gain => {
+      const y = Math.round(this.gainToY(gain)) + 0.5;
+      ctx.strokeStyle = gain === 0 ? 'rgba(0,0,0,0.25)' : 'rgba(0,0,0,0.08)';
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+      ctx.stroke();
+    });
+
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.font = '9px sans-serif';
+    ctx.fillText('100', this.frequencyToX(100) + 2, height - 3);
+    ctx.fillText('1k', this.frequencyToX(1000) + 2, height - 3);
+    ctx.fillText('10k', this.frequencyToX(10000) + 2, height - 3);
+
+    // Response curve
+    const response = this.computeResponse();
+    ctx.strokeStyle = '#4a4a9e';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    response.forEach((gain, x) => {
+      const y = this.gainToY(Math.max(-EQ_GAIN_RANGE, Math.min(EQ_GAIN_RANGE, gain)));
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    // Handles
+    ctx.font = 'bold 8px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    this.getHandles().forEach(handle => {
+      ctx.fillStyle = handle.id === this.selected ? '#3a3a7e' : '#ffffff';
+      ctx.strokeStyle = '#4a4a9e';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(handle.x, handle.y, HANDLE_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = handle.id === this.selected ? '#ffffff' : '#4a4a9e';
+      ctx.fillText(handle.label, handle.x, handle.y + 0.5);
+    });
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  // Describe the selected handle under the graph
+  updateReadout() {
+    if (!this.selected) {
+      this.readout.textContent = 'Drag a handle to adjust; scroll on a band to change its width.';
+      return;
+    }
+    if (this.selected === 'highpass') {
+      this.readout.textContent = `High pass: ${formatFrequency(this.settings.eqHighpass)}`;
+    } else if (this.selected === 'lowpass') {
+      this.readout.textContent = `Low pass: ${formatFrequency(this.settings.eqLowpass)}`;
+    } else {
+      const index = parseInt(this.selected.slice(5), 10);
+      const band = this.settings.eqBands[index];
+      const gain = `${band.gain > 0 ? '+' : ''}${band.gain.toFixed(1)} dB`;
+      this.readout.textContent = `Band ${index + 1}: ${formatFrequency(band.frequency)}, ${gain}, Q ${band.q.toFixed(1)}`;
+    }
+  }
+
+  // Canvas coordinates of a pointer event (the canvas is scaled by CSS)
+  getPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  // Nearest handle within reach of a point, or null
+  findHandle(point) {
+    let found = null;
+    let bestDistance = HANDLE_RADIUS + 3;
+    this.getHandles().forEach(handle => {
+      const distance = Math.hypot(handle.x - point.x, handle.y - point.y);
+      if (distance <= bestDistance) {
+        bestDistance = distance;
+        found = handle.id;
+      }
+    });
+    return found;
+  }
+
+  handlePointerDown(e) {
+    if (!this.settings) return;
+    const id = this.findHandle(this.getPoint(e));
+    this.selected = id;
+    this.dragging = id;
+    if (id) this.canvas.setPointerCapture(e.pointerId);
+    this.draw();
+    this.updateReadout();
+  }
+
+  handlePointerMove(e) {
+    if (!this.dragging) {
+      this.canvas.style.cursor = this.settings && this.findHandle(this.getPoint(e)) ? 'grab' : 'default';
+      return;
+    }
+    const point = this.getPoint(e);
+    const frequency = this.xToFrequency(Math.max(0, Math.min(this.canvas.width - 1, point.x)));
+
+    if (this.dragging === 'highpass') {
+      this.applyChange({ eqHighpass: roundFrequency(clamp(frequency, EQ_LIMITS.highpass)) });
+    } else if (this.dragging === 'lowpass') {
+      this.applyChange({ eqLowpass: roundFrequency(clamp(frequency, EQ_LIMITS.lowpass)) });
+    } else {
+      const gain = Math.round(Math.max(-EQ_GAIN_RANGE, Math.min(EQ_GAIN_RANGE, this.yToGain(point.y))) * 10) / 10;
+      this.updateBand(parseInt(this.dragging.slice(5), 10), {
+        frequency: roundFrequency(clamp(frequency, EQ_LIMITS.band)),
+        gain
+      });
+    }
+  }
+
+  // Scrolling over a band changes its Q (width)
+  handleWheel(e) {
+    if (!this.settings) return;
+    const id = this.findHandle(this.getPoint(e));
+    if (!id || !id.startsWith('band-')) return;
+    e.preventDefault();
+
+    const index = parseInt(id.slice(5), 10);
+    const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+    const q = Math.round(clamp(this.settings.eqBands[index].q * factor, EQ_LIMITS.q) * 100) / 100;
+    this.selected = id;
+    this.updateBand(index, { q });
+  }
+
+  // Replace one band with updated values
+  updateBand(index, values) {
+    const eqBands = this.settings.eqBands.map((band, i) => (i === index ? { ...band, ...values } : band));
+    this.applyChange({ eqBands });
+  }
+
+  applyChange(change) {
+    this.setSettings({ ...this.settings, ...change });
+    this.onChange(change);
+  }
+}
+
+function clamp(value, limits) {
+  return Math.max(limits.min, Math.min(limits.max, value));
+}
+
+// Round to a sensible step for the frequency range (3 significant digits)
+function roundFrequency(frequency) {
+  return Number(frequency.toPrecision(3));
+}
+
+function formatFrequency(frequency) {
+  return frequency >= 1000 ? `${(frequency / 1000).toFixed(1)} kHz` : `${Math.round(frequency)} Hz`;
+}
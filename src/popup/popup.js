@@ -6,18 +6,12 @@
  * the background script to update compressor settings for the active tab/domain.
  */
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  ratio: 4.0,
-  threshold: -20.0,
-  attack: 0.003,
-  release: 0.25,
-  outputGain: 0.0
-};
+// FACTORY_SETTINGS and the settings helpers come from ../js/settings.js;
+// key pattern resolution (resolveKeyForUrl etc.) comes from ../js/rules.js
 
 // DOM Elements
 const enableSwitch = document.getElementById('enable-switch');
+const webAudioHookCheckbox = document.getElementById('webaudio-hook');
 const thresholdSlider = document.getElementById('threshold');
 const thresholdValue = document.getElementById('threshold-value');
 const ratioSlider = document.getElementById('ratio');
@@ -28,42 +22,154 @@ const releaseSlider = document.getElementById('release');
 const releaseValue = document.getElementById('release-value');
 const outputGainSlider = document.getElementById('output-gain');
 const outputGainValue = document.getElementById('output-gain-value');
+const kneeSlider = document.getElementById('knee');
+const compressorModeSelect = document.getElementById('compressor-mode');
+const sidechainControls = document.getElementById('sidechain-controls');
+const sidechainHighpassSlider = document.getElementById('sidechain-highpass');
+const multibandSwitch = document.getElementById('multiband-switch');
+const multibandControls = document.getElementById('multiband-controls');
+const bandReductionsPanel = document.getElementById('band-reductions');
+// Multiband sliders by setting name
+const multibandSliders = {
+  crossoverLow: document.getElementById('crossover-low'),
+  crossoverHigh: document.getElementById('crossover-high'),
+  lowThreshold: document.getElementById('low-threshold'),
+  lowRatio: document.getElementById('low-ratio'),
+  midThreshold: document.getElementById('mid-threshold'),
+  midRatio: document.getElementById('mid-ratio'),
+  highThreshold: document.getElementById('high-threshold'),
+  highRatio: document.getElementById('high-ratio')
+};
+const BAND_NAMES = ['low', 'mid', 'high'];
+const limiterSwitch = document.getElementById('limiter-switch');
+const limiterControls = document.getElementById('limiter-controls');
+const limiterCeilingSlider = document.getElementById('limiter-ceiling');
+const limiterReleaseSlider = document.getElementById('limiter-release');
+const stereoMonoCheckbox = document.getElementById('stereo-mono');
+const stereoSwapCheckbox = document.getElementById('stereo-swap');
+const stereoBalanceSlider = document.getElementById('stereo-balance');
+const stereoWidthSlider = document.getElementById('stereo-width');
+const eqSwitch = document.getElementById('eq-switch');
+const eqControls = document.getElementById('eq-controls');
+const eqVoiceButton = document.getElementById('eq-voice-button');
+const eqFlatButton = document.getElementById('eq-flat-button');
+const gateSwitch = document.getElementById('gate-switch');
+const gateControls = document.getElementById('gate-controls');
+const gateIndicator = document.getElementById('gate-indicator');
+// Gate sliders by setting name; times are shown in ms and stored in seconds
+const gateSliders = {
+  gateThreshold: document.getElementById('gate-threshold'),
+  gateRange: document.getElementById('gate-range'),
+  gateAttack: document.getElementById('gate-attack'),
+  gateHold: document.getElementById('gate-hold'),
+  gateRelease: document.getElementById('gate-release')
+};
+const GATE_TIME_FIELDS = ['gateAttack', 'gateHold', 'gateRelease'];
+const autoLevelSwitch = document.getElementById('auto-level-switch');
+const autoLevelControls = document.getElementById('auto-level-controls');
+// Auto-level sliders by setting name
+const autoLevelSliders = {
+  autoLevelTarget: document.getElementById('auto-level-target'),
+  autoLevelMaxBoost: document.getElementById('auto-level-max-boost'),
+  autoLevelMaxCut: document.getElementById('auto-level-max-cut')
+};
+const loudnessShortTerm = document.getElementById('loudness-short-term');
+const loudnessIntegrated = document.getElementById('loudness-integrated');
+const autoGainValue = document.getElementById('auto-gain-value');
+const limiterBar = document.getElementById('limiter-bar');
+const limiterValue = document.getElementById('limiter-value');
+// EQ curve editor (eq-graph.js); edits are saved like any other setting
+const eqGraph = new EqGraph(
+  document.getElementById('eq-canvas'),
+  document.getElementById('eq-readout'),
+  handleEqChange
+);
+// Compressor transfer curve with the live level (transfer-graph.js)
+const transferGraph = new TransferGraph(
+  document.getElementById('transfer-canvas'),
+  document.getElementById('transfer-readout')
+);
 const resetButton = document.getElementById('reset-button');
-const meterBar = document.getElementById('meter-bar');
+const factoryResetButton = document.getElementById('factory-reset-button');
+const setDefaultButton = document.getElementById('set-default-button');
+const mediaListPanel = document.getElementById('media-list-panel');
+const mediaList = document.getElementById('media-list');
+// Element list rows by `${frameId}:${elementId}`, updated in place so sliders keep working while dragged
+const mediaListRows = new Map();
+// Level meter bars for the left and right channel
+const meterBars = [document.getElementById('meter-bar-left'), document.getElementById('meter-bar-right')];
+const peakMarkers = [document.getElementById('meter-peak-left'), document.getElementById('meter-peak-right')];
+const CHANNEL_NAMES = ['L', 'R'];
 const reductionBar = document.getElementById('reduction-bar');
 const domainInfo = document.getElementById('domain-info');
+const siteAccessPanel = document.getElementById('site-access');
+const siteAccessText = document.getElementById('site-access-text');
+const enableSiteButton = document.getElementById('enable-site-button');
+const mediaIssuesPanel = document.getElementById('media-issues');
+const mediaIssuesList = document.getElementById('media-issues-list');
+const scopeSelect = document.getElementById('scope-select');
+const tabOnlySwitch = document.getElementById('tab-only-switch');
+const tabOverrideInfo = document.getElementById('tab-override-info');
+const tabOverrideText = document.getElementById('tab-override-text');
+const clearOverrideButton = document.getElementById('clear-override-button');
+const optionsLink = document.getElementById('options-link');
+const presetSelect = document.getElementById('preset-select');
+const deletePresetButton = document.getElementById('delete-preset-button');
+const presetNameInput = document.getElementById('preset-name');
+const savePresetButton = document.getElementById('save-preset-button');
+const statusMessage = document.getElementById('status-message');
 
-// Current settings for the active context
+// Current settings for the active context (saved values plus the tab override)
 let currentSettings = {};
+// Saved values of the displayed rule (or the defaults), without the tab override
+let savedSettings = {};
+// Key whose saved values are displayed (null when no rule matches)
+let displayedKey = null;
+// Temporary values for the active tab only (field -> value), or null
+let tabOverride = null;
+// Where a value comes from, least to most specific
+const LAYER_LABELS = { default: 'Default', site: 'Site', tab: 'Tab' };
 // Active tab info
 let activeTabId = null;
 let activeTabUrl = null;
-// Key used for storing/retrieving settings (domain, file URL, or tab-id)
+// Key changes are saved to (the scope chosen in the popup)
 let settingsKey = null;
-
-// Function to extract domain or generate a key from URL
-function getKeyFromUrl(url) {
-  if (!url) {
-    return null;
-  }
-  // Handle special URLs like about:, chrome:, file:
-  if (!url.startsWith('http:') && !url.startsWith('https:')) {
-      // For file URLs, use the full URL as the key
-      if (url.startsWith('file:')) {
-          return url;
-      }
-      // For other special URLs (e.g., about:blank, reader view), return null for now
-      // Background script might decide to use tabId in this case
-      return null;
-  }
-  try {
-    // Use hostname for standard http/https URLs
-    return new URL(url).hostname;
-  } catch (e) {
-    console.error("Error parsing URL:", url, e);
-    return null; // Return null if URL parsing fails
-  }
-}
+// Most specific stored key matching the active tab (null if none)
+let matchedKey = null;
+// All keys currently stored by the background script
+let storedKeys = [];
+// Available presets (built-in and user-defined), as listed by the background script
+let presets = [];
+// Saves and resets sent to the background script that have not been answered yet
+let pendingUpdates = 0;
+// Slider and EQ edits are applied to the tab at once but saved (a storage
+// write and a sync push) only once the edit ends or pauses for this long (ms)
+const SAVE_DELAY_MS = 500;
+let saveTimer = null;
+// storage.local keys the background script keeps settings under
+const PROFILES_STORAGE_KEY = 'siteSettings';
+const PRESETS_STORAGE_KEY = 'userPresets';
+const GLOBAL_DEFAULT_STORAGE_KEY = 'globalDefault';
+// Meter stream per frame of the active tab (frameId -> { port, frames, current,
+// offset, batch, time }): queued meter frames, the frame shown now, the
+// offset from the frame's clock to ours and the latest batch's slow readings
+const frameMeters = new Map();
+// Frames that have not reported for this long no longer count towards the meters
+const FRAME_METER_TIMEOUT_MS = 500;
+// Meter streams from the tab's frames arrive over ports with this name
+const METER_PORT_NAME = 'evc-meter';
+// Meter frames are shown this long after they were measured, so there is
+// always a batch to animate through (ms)
+const METER_PLAYBACK_DELAY_MS = 150;
+// A frame's clock offset is re-measured when it drifts by more than this (ms)
+const METER_RESYNC_MS = 500;
+// At most this many meter frames are queued per frame (about 2 s at 60 fps)
+const METER_QUEUE_LIMIT = 120;
+// Peak markers hold their position this long before following the level (ms)
+const PEAK_HOLD_MS = 1000;
+const peakHolds = [{ value: -60, time: 0 }, { value: -60, time: 0 }];
+// Elements each frame could not process (frameId -> issues)
+const frameMediaIssues = new Map();
 
 // Initialize popup
 document.addEventListener('DOMContentLoaded', async () => {
@@ -74,35 +180,25 @@ document.addEventListener('DOMContentLoaded', async () => {
       const activeTab = tabs[0];
       activeTabId = activeTab.id;
       activeTabUrl = activeTab.url;
-      const domainOrFile = getKeyFromUrl(activeTabUrl);
-
-      // Determine the key and display text for settings
-      let displayDomain = domainOrFile;
-      if (domainOrFile && domainOrFile.startsWith('file:')) {
-        displayDomain = "Local File"; // More user-friendly display
-        settingsKey = domainOrFile; // Use the full file URL as the key
-      } else if (domainOrFile) {
-        settingsKey = domainOrFile; // Use the hostname
-      } else {
-         // Handle cases like about:blank, reader view, etc., where getKeyFromUrl returned null
-         // Use tabId as a fallback key for non-persistent settings for this specific tab instance
-         settingsKey = `tab-${activeTabId}`;
-         displayDomain = `This Tab (Temporary)`; // Indicate settings might not persist
-      }
 
-      // Update domain info display
-      if (displayDomain) {
-        domainInfo.textContent = `Settings for: ${displayDomain}`;
-      } else {
-         // Should ideally not happen with the logic above, but have a fallback
-        domainInfo.textContent = `Settings for current tab`;
-      }
+      // Find the rule that applies to this tab; changes go to it by default,
+      // otherwise to the narrowest host scope (or the file / tab key)
+      await refreshRules();
+      const candidates = getScopeCandidates(activeTabUrl, activeTabId);
+      const siteCandidate = candidates.find(c => c.scope === 'site') || candidates[0];
+      settingsKey = matchedKey || siteCandidate.key;
+      renderScopeOptions();
 
-      // Get settings using the determined key
-      await loadSettings(settingsKey);
+      // Get presets and the settings currently in effect
+      await loadPresets();
+      await loadSettings(matchedKey);
+      // Keep editing a tab that already has temporary values in tab-only mode
+      tabOnlySwitch.checked = !!tabOverride;
+      scopeSelect.disabled = tabOnlySwitch.checked;
 
       // Start monitoring level for the active tab
       startLevelMonitoring();
+      await loadSiteAccess();
 
     } else {
       console.error("Could not find active tab.");
@@ -117,12 +213,54 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Add event listeners for UI controls
   enableSwitch.addEventListener('change', handleSettingChange);
+  webAudioHookCheckbox.addEventListener('change', handleSettingChange);
+  multibandSwitch.addEventListener('change', handleSettingChange);
+  kneeSlider.addEventListener('input', handleStageSliderInput);
+  compressorModeSelect.addEventListener('change', handleSettingChange);
+  sidechainHighpassSlider.addEventListener('input', handleStageSliderInput);
+  Object.values(multibandSliders).forEach(slider => slider.addEventListener('input', handleStageSliderInput));
+  limiterSwitch.addEventListener('change', handleSettingChange);
+  autoLevelSwitch.addEventListener('change', handleSettingChange);
+  stereoMonoCheckbox.addEventListener('change', handleSettingChange);
+  stereoSwapCheckbox.addEventListener('change', handleSettingChange);
+  stereoBalanceSlider.addEventListener('input', handleStageSliderInput);
+  stereoWidthSlider.addEventListener('input', handleStageSliderInput);
+  eqSwitch.addEventListener('change', handleSettingChange);
+  gateSwitch.addEventListener('change', handleSettingChange);
+  Object.values(gateSliders).forEach(slider => slider.addEventListener('input', handleStageSliderInput));
+  eqVoiceButton.addEventListener('click', () => applyEqCurve(VOICE_CLARITY_EQ));
+  eqFlatButton.addEventListener('click', () => applyEqCurve(FACTORY_SETTINGS));
+  Object.values(autoLevelSliders).forEach(slider => slider.addEventListener('input', handleStageSliderInput));
+  limiterCeilingSlider.addEventListener('input', handleStageSliderInput);
+  limiterReleaseSlider.addEventListener('input', handleStageSliderInput);
+  scopeSelect.addEventListener('change', handleScopeChange);
+  tabOnlySwitch.addEventListener('change', handleTabOnlyChange);
+  clearOverrideButton.addEventListener('click', handleClearOverride);
+  enableSiteButton.addEventListener('click', handleEnableOnSite);
   thresholdSlider.addEventListener('input', handleSliderInput);
   ratioSlider.addEventListener('input', handleSliderInput);
   attackSlider.addEventListener('input', handleSliderInput);
   releaseSlider.addEventListener('input', handleSliderInput);
   outputGainSlider.addEventListener('input', handleSliderInput);
-  resetButton.addEventListener('click', handleResetClick);
+  // Save slider and EQ edits when they end
+  [
+    thresholdSlider, ratioSlider, attackSlider, releaseSlider, outputGainSlider, kneeSlider,
+    sidechainHighpassSlider, stereoBalanceSlider, stereoWidthSlider, limiterCeilingSlider, limiterReleaseSlider,
+    ...Object.values(multibandSliders), ...Object.values(gateSliders), ...Object.values(autoLevelSliders)
+  ].forEach(slider => slider.addEventListener('change', flushSettingsSave));
+  document.getElementById('eq-canvas').addEventListener('pointerup', flushSettingsSave);
+  window.addEventListener('pagehide', flushSettingsSave);
+  resetButton.addEventListener('click', () => handleResetClick(false));
+  factoryResetButton.addEventListener('click', () => handleResetClick(true));
+  setDefaultButton.addEventListener('click', handleSetGlobalDefault);
+  presetSelect.addEventListener('change', handlePresetSelect);
+  savePresetButton.addEventListener('click', handleSavePreset);
+  deletePresetButton.addEventListener('click', handleDeletePreset);
+  optionsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    browser.runtime.openOptionsPage();
+    window.close();
+  });
 
   // Create meter scales
   createMeterScale();
@@ -130,78 +268,478 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Listen for level updates from content script (ensure it targets the correct tab)
   browser.runtime.onMessage.addListener(handleMessages);
+  // Follow changes made elsewhere (another popup, the options page, shortcuts, sync)
+  browser.storage.onChanged.addListener(handleStorageChange);
 });
 
 // Disable all controls
 function disableControls() {
-    document.querySelectorAll('input, button').forEach(el => el.disabled = true);
+    document.querySelectorAll('input, button, select').forEach(el => el.disabled = true);
 }
 
-// Listen for popup window closing
-window.addEventListener('unload', () => {
-  stopLevelMonitoring();
-});
-
 // Handle incoming messages (filter by tabId if necessary, though background might handle this)
 function handleMessages(message, sender) {
-  // Only process messages relevant to the currently active tab shown in the popup
-  if (sender.tab && sender.tab.id === activeTabId) {
-      if (message.type === 'METER_UPDATE') {
-        updateLevelMeter(message.level);
-        updateReductionMeter(message.reduction);
-      } else if (message.type === 'LEVEL_UPDATE') { // Backward compatibility
-        updateLevelMeter(message.level);
-      }
-  } else if (message.type === 'SETTINGS_UPDATED_EXTERNALLY' && message.key === settingsKey) {
-      // Optional: Handle cases where settings are updated elsewhere (e.g., options page)
-      console.log(`Settings for ${settingsKey} updated externally, reloading UI.`);
-      loadSettings(settingsKey);
+  // Meter data arrives over ports (see handleMeterConnect)
+  if (message.type === 'SETTINGS_UPDATED_EXTERNALLY') {
+      handleSettingsUpdatedExternally(message.keys);
   }
 }
 
-// Start level monitoring for the active tab
-function startLevelMonitoring() {
-  if (activeTabId) {
-    browser.tabs.sendMessage(activeTabId, {
-      type: 'START_LEVEL_MONITORING'
-    }).catch(error => {
-      // Ignore errors if the content script isn't ready or injected yet
-      if (!error.message.includes("Could not establish connection")) {
-          console.error("Error starting level monitoring:", error);
-      }
+// Turn storage changes into SETTINGS_UPDATED_EXTERNALLY for the profiles that
+// changed (a changed global default affects the keys without a profile)
+function handleStorageChange(changes, areaName) {
+  if (areaName !== 'local') return;
+  if (changes[PRESETS_STORAGE_KEY]) {
+    loadPresets();
+  }
+  const keys = [];
+  if (changes[PROFILES_STORAGE_KEY]) {
+    const { oldValue = {}, newValue = {} } = changes[PROFILES_STORAGE_KEY];
+    new Set([...Object.keys(oldValue), ...Object.keys(newValue)]).forEach(key => {
+      if (JSON.stringify(oldValue[key]) !== JSON.stringify(newValue[key])) keys.push(key);
     });
   }
+  if (changes[GLOBAL_DEFAULT_STORAGE_KEY]) {
+    keys.push(null);
+  }
+  if (keys.length > 0) {
+    handleMessages({ type: 'SETTINGS_UPDATED_EXTERNALLY', keys }, {});
+  }
 }
 
-// Stop level monitoring for the active tab
-function stopLevelMonitoring() {
-  if (activeTabId) {
-    browser.tabs.sendMessage(activeTabId, {
-      type: 'STOP_LEVEL_MONITORING'
-    }).catch(error => {
-       // Ignore errors if the content script isn't there or tab is closed
-      if (!error.message.includes("Could not establish connection") && !error.message.includes("Receiving end does not exist")) {
-         console.error("Error stopping level monitoring:", error);
-      }
-    });
+// Reload the displayed values if the rule they come from (or the rule the
+// tab follows) changed outside this popup. `keys` are the changed keys, with
+// null standing for the global default.
+async function handleSettingsUpdatedExternally(keys) {
+  // Our own saves are already shown
+  if (!activeTabId || pendingUpdates > 0 || saveTimer) return;
+
+  await refreshRules();
+  renderScopeOptions();
+  const key = tabOnlySwitch.checked || !storedKeys.includes(settingsKey) ? matchedKey : settingsKey;
+  const displayedFromDefault = !displayedKey || !storedKeys.includes(displayedKey);
+  if (key === displayedKey && !keys.includes(displayedKey) && !(displayedFromDefault && keys.includes(null))) return;
+
+  if (key === displayedKey) {
+    try {
+      const response = await browser.runtime.sendMessage({ type: 'GET_SETTINGS', tabId: activeTabId, key });
+      if (JSON.stringify({ ...FACTORY_SETTINGS, ...response.settings }) === JSON.stringify(savedSettings)) return;
+    } catch (error) {
+      console.error(`Error checking settings for key "${key}":`, error);
+      return;
+    }
   }
+  console.log(`Settings for ${key || 'the global default'} updated externally, reloading UI.`);
+  await loadSettings(key);
+  showStatus('Updated with changes made elsewhere.');
 }
 
-// Update level meter
-function updateLevelMeter(level) {
-  const minDb = -60;
-  const percent = Math.max(0, Math.min(100, ((level - minDb) / Math.abs(minDb)) * 100));
-  meterBar.style.width = `${percent}%`;
-  meterBar.style.backgroundColor = level > -3 ? '#ff5555' : level > -10 ? '#ffaa00' : '#00aa44';
+// Start level monitoring for the active tab: every frame with media opens a
+// meter port to the popup, and closing the popup disconnects them all
+function startLevelMonitoring() {
+  if (!activeTabId) return;
+  browser.runtime.onConnect.addListener(handleMeterConnect);
+  requestMeterStream();
+  requestAnimationFrame(renderMeterFrame);
+}
+
+// Ask the tab's frames to open their meter ports, at the preferred rate
+async function requestMeterStream() {
+  let rate;
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_PREFERENCES' });
+    rate = response.preferences.meterRate;
+  } catch (error) {
+    console.error("Error loading the meter rate:", error);
+  }
+  browser.tabs.sendMessage(activeTabId, {
+    type: 'START_LEVEL_MONITORING',
+    rate
+  }).catch(error => {
+    // Ignore errors if the content script isn't ready or injected yet
+    if (!error.message.includes("Could not establish connection")) {
+        console.error("Error starting level monitoring:", error);
+    }
+  });
+}
 
-  const levelText = meterBar.querySelector('.level-text') || document.createElement('span');
-  levelText.className = 'level-text';
-  levelText.textContent = `${Math.round(level)} dB`;
-  if (!meterBar.querySelector('.level-text')) {
-      meterBar.appendChild(levelText);
+// Check whether the compressor runs on the active tab's page
+async function loadSiteAccess() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_SITE_ACCESS', tabId: activeTabId });
+    renderSiteAccess(response.access);
+  } catch (error) {
+    console.error("Error checking site access:", error);
   }
 }
 
+// Offer to enable the compressor when the site is blocked, not on the allow
+// list, or was opened before the content scripts were registered
+function renderSiteAccess(access) {
+  siteAccessPanel.hidden = !access || !access.supported || (access.allowed && access.injected);
+  if (siteAccessPanel.hidden) return;
+
+  if (access.reason === 'blocked') {
+    siteAccessText.textContent = 'This site is on the block list, so its audio is not processed.';
+  } else if (access.reason === 'not-allowed') {
+    siteAccessText.textContent = 'Only allowed sites are processed, and this site is not one of them.';
+  } else {
+    siteAccessText.textContent = 'Not running on this page yet.';
+  }
+  enableSiteButton.textContent = access.allowed ? 'Start on this page' : 'Enable on this site';
+}
+
+// Allow the active tab's site and start the compressor in the tab right away
+async function handleEnableOnSite() {
+  enableSiteButton.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'ENABLE_ON_SITE', tabId: activeTabId });
+    if (response.error) throw new Error(response.error);
+    renderSiteAccess(response.access);
+    if (response.access.injected) {
+      requestMeterStream();
+    } else {
+      showStatus('Could not start on this page. Try reloading it.', true);
+    }
+  } catch (error) {
+    console.error("Error enabling the site:", error);
+    showStatus('Could not enable this site.', true);
+  } finally {
+    enableSiteButton.disabled = false;
+  }
+}
+
+// A frame opened its meter port
+function handleMeterConnect(port) {
+  if (port.name !== METER_PORT_NAME) return;
+  if (!port.sender || !port.sender.tab || port.sender.tab.id !== activeTabId) {
+    // Meant for a popup showing another tab (in another window)
+    port.disconnect();
+    return;
+  }
+
+  const frameId = port.sender.frameId || 0;
+  frameMeters.set(frameId, { port, frames: [], current: null, offset: null, batch: null, time: 0 });
+  port.onMessage.addListener(message => {
+    if (message.type === 'METER_FRAMES') {
+      handleMeterBatch(frameId, message);
+    } else if (message.type === 'MEDIA_STATUS') {
+      frameMediaIssues.set(frameId, message.issues);
+      renderMediaIssues();
+    }
+  });
+  port.onDisconnect.addListener(() => {
+    // The frame may have reconnected (e.g. after navigating) in the meantime
+    if (frameMeters.has(frameId) && frameMeters.get(frameId).port === port) {
+      frameMeters.delete(frameId);
+    }
+    if (frameMediaIssues.delete(frameId)) renderMediaIssues();
+  });
+}
+
+// Queue a batch of meter frames from one frame and show its slower readings
+function handleMeterBatch(frameId, message) {
+  const meter = frameMeters.get(frameId);
+  if (!meter) return;
+
+  const now = performance.now();
+  const last = message.frames[message.frames.length - 1];
+  if (last) {
+    // Map the frame's clock onto ours, following the fastest delivery seen
+    const offset = now - last.time;
+    if (meter.offset === null || offset < meter.offset || offset - meter.offset > METER_RESYNC_MS) {
+      meter.offset = offset;
+    }
+    meter.frames.push(...message.frames);
+    if (meter.frames.length > METER_QUEUE_LIMIT) {
+      meter.frames.splice(0, meter.frames.length - METER_QUEUE_LIMIT);
+    }
+  }
+  meter.batch = message;
+  meter.time = now;
+  renderMeterBatches();
+}
+
+// Combine the slow readings of every frame: the largest band and limiter
+// reductions, the loudest stream's loudness, the gate state and all elements
+function renderMeterBatches() {
+  const now = performance.now();
+  let bandReductions = null;
+  let loudness = null;
+  let gateOpen = null;
+  const elements = [];
+  frameMeters.forEach((meter, id) => {
+    if (!meter.batch || now - meter.time > FRAME_METER_TIMEOUT_MS) return;
+    const batch = meter.batch;
+    (batch.elements || []).forEach(element => elements.push({ ...element, frameId: id }));
+    if (typeof batch.gateOpen === 'boolean') gateOpen = gateOpen || batch.gateOpen;
+    if (batch.loudness && (!loudness || batch.loudness.shortTerm > loudness.shortTerm)) {
+      loudness = batch.loudness;
+    }
+    if (batch.bandReductions) {
+      bandReductions = bandReductions
+        ? bandReductions.map((value, i) => Math.max(value, batch.bandReductions[i]))
+        : batch.bandReductions;
+    }
+  });
+
+  updateBandReductionMeters(bandReductions);
+  updateLoudnessReadout(loudness);
+  updateGateIndicator(gateOpen);
+  renderMediaList(elements);
+}
+
+// Makeup gain (dB) of the compressor the transfer graph's dot is placed on.
+// In multiband mode each band has its own; the mid band carries the dialogue.
+function getTransferMakeup() {
+  const settings = currentSettings;
+  const threshold = settings.multiband ? settings.midThreshold : settings.threshold;
+  const ratio = settings.multiband ? settings.midRatio : settings.ratio;
+  return EVCAudioChain.compressorMakeup(threshold, ratio, settings.knee);
+}
+
+// Animate the level, peak and reduction meters: each frame's queued meter
+// frames are played back on its own timeline, slightly delayed, and the
+// loudest values across frames are shown
+function renderMeterFrame() {
+  const now = performance.now();
+  let levels = [-60, -60];
+  let peaks = [-60, -60];
+  let reduction = 0;
+  let limiterReduction = 0;
+  let transferReading = null;
+  frameMeters.forEach(meter => {
+    if (now - meter.time > FRAME_METER_TIMEOUT_MS) return;
+    const playbackTime = now - meter.offset - METER_PLAYBACK_DELAY_MS;
+    while (meter.frames.length > 0 && meter.frames[0].time <= playbackTime) {
+      meter.current = meter.frames.shift();
+    }
+    const frame = meter.current;
+    if (!frame) return;
+    levels = levels.map((value, i) => Math.max(value, frame.levels[i]));
+    peaks = peaks.map((value, i) => Math.max(value, frame.peaks[i]));
+    reduction = Math.max(reduction, frame.reduction);
+    limiterReduction = Math.max(limiterReduction, frame.limiterReduction);
+
+    // The curve shows the loudest frame. Its compressor output is the measured
+    // level without the auto-level gain and the limiter's reduction; adding
+    // back the gain reduction and taking off the output and makeup gain gives
+    // its input.
+    const level = Math.max(...frame.levels);
+    const autoGain = (meter.batch.loudness && meter.batch.loudness.autoGain) || 0;
+    const output = level - autoGain + frame.limiterReduction;
+    if (level > -60 && (!transferReading || output > transferReading.output)) {
+      const input = output - (currentSettings.outputGain || 0) - getTransferMakeup() + frame.reduction;
+      transferReading = { input, output, reduction: frame.reduction };
+    }
+  });
+
+  updateLevelMeter(levels, peaks);
+  updateReductionMeter(reduction);
+  updateLimiterMeter(limiterReduction);
+  transferGraph.update(transferReading, now);
+  requestAnimationFrame(renderMeterFrame);
+}
+
+// Short display name for a media source URL
+function formatMediaSource(src) {
+  try {
+    const url = new URL(src);
+    if (url.protocol === 'blob:') return 'stream (blob)';
+    return `${url.hostname}/…/${url.pathname.split('/').pop().slice(0, 40)}`;
+  } catch (e) {
+    return src; // Keep the raw src (or show nothing for elements without one)
+  }
+}
+
+// Send a per-element message to the frame that owns the element
+function sendElementMessage(element, message) {
+  browser.tabs.sendMessage(activeTabId, { ...message, elementId: element.id }, { frameId: element.frameId })
+    .catch(error => console.error("Error sending element command:", error));
+}
+
+// Build the list row for one element; returns the nodes that change on update
+function createMediaListRow(element) {
+  const item = document.createElement('li');
+
+  const header = document.createElement('div');
+  header.className = 'media-item-header';
+  const name = document.createElement('span');
+  name.className = 'media-item-name';
+  const state = document.createElement('span');
+  state.className = 'media-item-state';
+  header.appendChild(name);
+  header.appendChild(state);
+
+  const controls = document.createElement('div');
+  controls.className = 'media-item-controls';
+  const bypassLabel = document.createElement('label');
+  const bypass = document.createElement('input');
+  bypass.type = 'checkbox';
+  bypassLabel.appendChild(bypass);
+  bypassLabel.appendChild(document.createTextNode(' Bypass'));
+  const trim = document.createElement('input');
+  trim.type = 'range';
+  trim.min = '-12';
+  trim.max = '12';
+  trim.step = '1';
+  trim.title = 'Gain trim for this element';
+  const trimValue = document.createElement('span');
+  trimValue.className = 'media-item-trim';
+  const highlight = document.createElement('button');
+  highlight.className = 'btn-small btn-secondary';
+  highlight.textContent = 'Show';
+  highlight.title = 'Highlight on page';
+  controls.appendChild(bypassLabel);
+  controls.appendChild(trim);
+  controls.appendChild(trimValue);
+  controls.appendChild(highlight);
+
+  item.appendChild(header);
+  item.appendChild(controls);
+
+  const row = { item, name, state, bypass, trim, trimValue, element };
+  bypass.addEventListener('change', () => {
+    sendElementMessage(row.element, { type: 'SET_ELEMENT_OVERRIDE', overrides: { bypass: bypass.checked } });
+  });
+  trim.addEventListener('input', () => {
+    trimValue.textContent = `${trim.value} dB`;
+    sendElementMessage(row.element, { type: 'SET_ELEMENT_OVERRIDE', overrides: { trim: parseFloat(trim.value) } });
+  });
+  highlight.addEventListener('click', () => {
+    sendElementMessage(row.element, { type: 'HIGHLIGHT_ELEMENT' });
+  });
+  return row;
+}
+
+// List every processed element (from every frame) with its level and controls
+function renderMediaList(elements) {
+  const seen = new Set();
+  elements.forEach(element => {
+    const key = `${element.frameId}:${element.id}`;
+    seen.add(key);
+    let row = mediaListRows.get(key);
+    if (!row) {
+      row = createMediaListRow(element);
+      mediaListRows.set(key, row);
+      mediaList.appendChild(row.item);
+    }
+    row.element = element;
+
+    const source = element.title || formatMediaSource(element.src) || '(no source)';
+    row.name.textContent = `<${element.tag}> ${source}`;
+    row.name.title = element.src;
+    row.state.textContent = element.paused
+      ? 'paused'
+      : `${Math.round(element.level)} dB · GR ${Math.round(element.reduction)} dB`;
+    row.bypass.checked = element.bypass;
+    if (document.activeElement !== row.trim) {
+      row.trim.value = element.trim;
+      row.trimValue.textContent = `${element.trim} dB`;
+    }
+  });
+
+  mediaListRows.forEach((row, key) => {
+    if (!seen.has(key)) {
+      row.item.remove();
+      mediaListRows.delete(key);
+    }
+  });
+  mediaListPanel.hidden = mediaListRows.size === 0;
+}
+
+// Show whether the noise gate is letting audio through (hidden when no gate runs)
+function updateGateIndicator(gateOpen) {
+  gateIndicator.hidden = gateOpen === null;
+  gateIndicator.classList.toggle('open', gateOpen === true);
+  gateIndicator.textContent = gateOpen ? 'Gate open' : 'Gate closed';
+}
+
+// Show measured loudness (LUFS) and the auto-level gain of the loudest stream
+function updateLoudnessReadout(loudness) {
+  const formatLufs = (value) => (Number.isFinite(value) ? `${value.toFixed(1)} LUFS` : '--');
+  loudnessShortTerm.textContent = loudness ? formatLufs(loudness.shortTerm) : '--';
+  loudnessIntegrated.textContent = loudness ? formatLufs(loudness.integrated) : '--';
+  if (loudness && currentSettings && currentSettings.autoLevel) {
+    autoGainValue.textContent = `${loudness.autoGain >= 0 ? '+' : ''}${loudness.autoGain.toFixed(1)} dB`;
+  } else {
+    autoGainValue.textContent = 'off';
+  }
+}
+
+// Update the limiter's gain reduction readout (0-6 dB scale; a limiter
+// should rarely need more)
+function updateLimiterMeter(reduction) {
+  const maxReduction = 6;
+  limiterBar.style.width = `${Math.min(100, (reduction / maxReduction) * 100)}%`;
+  limiterValue.textContent = `${reduction.toFixed(1)} dB`;
+}
+
+// Update the per-band reduction readout (hidden outside multiband mode)
+function updateBandReductionMeters(bandReductions) {
+  bandReductionsPanel.hidden = !bandReductions;
+  if (!bandReductions) return;
+
+  const maxReduction = 20;
+  BAND_NAMES.forEach((band, i) => {
+    const reduction = bandReductions[i];
+    document.getElementById(`band-bar-${band}`).style.width = `${Math.min(100, (reduction / maxReduction) * 100)}%`;
+    document.getElementById(`band-value-${band}`).textContent = `${Math.round(reduction)} dB`;
+  });
+}
+
+// List the media elements (from every frame) that could not be processed, and why
+function renderMediaIssues() {
+  mediaIssuesList.textContent = '';
+  let count = 0;
+  frameMediaIssues.forEach(issues => {
+    issues.forEach(issue => {
+      const item = document.createElement('li');
+      const title = document.createElement('div');
+      title.className = 'media-issue-title';
+      title.textContent = `<${issue.tag}> ${formatMediaSource(issue.src)}`;
+      title.title = issue.src;
+      const reason = document.createElement('div');
+      reason.className = 'media-issue-reason';
+      reason.textContent = issue.message;
+      item.appendChild(title);
+      item.appendChild(reason);
+      mediaIssuesList.appendChild(item);
+      count++;
+    });
+  });
+  mediaIssuesPanel.hidden = count === 0;
+}
+
+// Update level meter ([left, right] in dB)
+function updateLevelMeter(levels, peaks) {
+  const minDb = -60;
+  const now = performance.now();
+  const toPercent = (db) => Math.max(0, Math.min(100, ((db - minDb) / Math.abs(minDb)) * 100));
+  levels.forEach((level, i) => {
+    const meterBar = meterBars[i];
+    const percent = toPercent(level);
+    meterBar.style.width = `${percent}%`;
+    meterBar.style.backgroundColor = level > -3 ? '#ff5555' : level > -10 ? '#ffaa00' : '#00aa44';
+
+    const levelText = meterBar.querySelector('.level-text') || document.createElement('span');
+    levelText.className = 'level-text';
+    levelText.textContent = `${CHANNEL_NAMES[i]} ${Math.round(level)} dB`;
+    if (!meterBar.querySelector('.level-text')) {
+        meterBar.appendChild(levelText);
+    }
+
+    // Peak marker with hold
+    const hold = peakHolds[i];
+    if (peaks[i] >= hold.value || now - hold.time > PEAK_HOLD_MS) {
+      hold.value = peaks[i];
+      hold.time = now;
+    }
+    peakMarkers[i].style.left = `${toPercent(hold.value)}%`;
+    peakMarkers[i].hidden = hold.value <= minDb;
+  });
+}
+
 // Update reduction meter
 function updateReductionMeter(reduction) {
   const maxReduction = 20;
@@ -218,46 +756,227 @@ function updateReductionMeter(reduction) {
 }
 
 // Load settings from background script for the specified key
+// (a null key loads the global default)
 async function loadSettings(key) {
-  if (!activeTabId || !key) {
-      console.warn("Cannot load settings without activeTabId and key");
-      currentSettings = { ...DEFAULT_SETTINGS }; // Use default if no key
+  displayedKey = key;
+  if (!activeTabId) {
+      console.warn("Cannot load settings without activeTabId");
+      currentSettings = { ...FACTORY_SETTINGS }; // Use default if no tab
+      savedSettings = currentSettings;
       updateUiWithSettings();
       return;
   }
-  settingsKey = key; // Store the key being used
 
   try {
     const response = await browser.runtime.sendMessage({
       type: 'GET_SETTINGS',
       tabId: activeTabId, // Send tabId for context if needed by background
-      key: settingsKey    // Send the specific key (domain, file URL, or tab-id)
+      key                 // The stored key (rule) to read
     });
 
     if (response.error) {
-      console.warn(`No specific settings found for key "${settingsKey}", using defaults. Error: ${response.error}`);
-      currentSettings = { ...DEFAULT_SETTINGS };
+      console.warn(`No specific settings found for key "${key}", using defaults. Error: ${response.error}`);
+      currentSettings = { ...FACTORY_SETTINGS };
     } else {
       // Merge received settings with defaults to ensure all properties exist
-      currentSettings = { ...DEFAULT_SETTINGS, ...response.settings };
-      console.log(`Loaded settings for key "${settingsKey}":`, currentSettings);
+      currentSettings = { ...FACTORY_SETTINGS, ...response.settings };
+      console.log(`Loaded settings for key "${key}":`, currentSettings);
     }
   } catch (error) {
-    console.error(`Error loading settings for key "${settingsKey}":`, error);
-    currentSettings = { ...DEFAULT_SETTINGS }; // Fallback on error
+    console.error(`Error loading settings for key "${key}":`, error);
+    currentSettings = { ...FACTORY_SETTINGS }; // Fallback on error
+  }
+  savedSettings = currentSettings;
+
+  // The tab's temporary values are shown on top of the saved ones
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_TAB_OVERRIDE', tabId: activeTabId });
+    tabOverride = response.override || null;
+  } catch (error) {
+    console.error("Error loading the tab override:", error);
+    tabOverride = null;
   }
+  currentSettings = { ...savedSettings, ...tabOverride };
   updateUiWithSettings(); // Update UI with loaded/default settings
 }
 
+// Send the tab its temporary values (null clears them); the background keeps
+// only the ones that differ from the saved profile
+async function updateTabOverride(settings) {
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: settings ? 'SET_TAB_OVERRIDE' : 'CLEAR_TAB_OVERRIDE',
+      tabId: activeTabId,
+      settings
+    });
+    if (response.error) {
+      showStatus(response.error, true);
+      return;
+    }
+    tabOverride = response.override;
+  } catch (error) {
+    console.error("Error updating the tab override:", error);
+  }
+  updateLayerInfo();
+}
+
+// The layer a setting's value comes from: 'tab', 'site' or 'default'
+function getValueLayer(field) {
+  if (tabOverride && tabOverride.hasOwnProperty(field)) return 'tab';
+  return displayedKey && storedKeys.includes(displayedKey) ? 'site' : 'default';
+}
+
+// Label every control with the layer its value comes from (labels covering
+// several fields show the most specific one) and summarize the tab override
+function updateLayerInfo() {
+  const order = Object.keys(LAYER_LABELS);
+  document.querySelectorAll('[data-field]').forEach(label => {
+    const layer = label.dataset.field.split(' ')
+      .map(getValueLayer)
+      .reduce((a, b) => (order.indexOf(b) > order.indexOf(a) ? b : a));
+    let badge = label.querySelector('.layer-badge');
+    if (!badge) {
+      badge = document.createElement('span');
+      label.appendChild(badge);
+    }
+    badge.className = `layer-badge layer-${layer}`;
+    badge.textContent = LAYER_LABELS[layer];
+    badge.title = layer === 'tab'
+      ? 'Temporary value for this tab'
+      : (layer === 'site' ? `Saved in ${displayedKey}` : 'Global default');
+  });
+
+  const count = tabOverride ? Object.keys(tabOverride).filter(field => field !== 'preset').length : 0;
+  tabOverrideInfo.hidden = !tabOverride;
+  tabOverrideText.textContent = `${count} value${count === 1 ? '' : 's'} changed for this tab only`;
+}
+
+// Switch the scope of edits between the saved rule and this tab only.
+// Tab-only edits always apply on top of the rule the tab follows.
+async function handleTabOnlyChange() {
+  scopeSelect.disabled = tabOnlySwitch.checked;
+  if (tabOnlySwitch.checked) {
+    if (displayedKey !== matchedKey) await loadSettings(matchedKey);
+  } else {
+    await handleScopeChange();
+  }
+}
+
+// Drop the tab's temporary values, going back to the saved ones
+async function handleClearOverride() {
+  await updateTabOverride(null);
+  await loadSettings(displayedKey);
+  showStatus('Tab override cleared.');
+}
+
+// Re-read the stored keys and find the rule that applies to the active tab
+async function refreshRules() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'LIST_SETTINGS' });
+    storedKeys = Object.keys(response.siteSettings || {});
+  } catch (error) {
+    console.error("Error listing stored rules:", error);
+    storedKeys = [];
+  }
+  matchedKey = resolveKeyForUrl(activeTabUrl, storedKeys, activeTabId);
+  updateDomainInfo();
+}
+
+// Show which rule currently applies to the tab
+function updateDomainInfo() {
+  if (matchedKey) {
+    const label = matchedKey.startsWith('file:') ? 'Local File' : matchedKey;
+    domainInfo.textContent = `Active rule: ${label}`;
+  } else {
+    domainInfo.textContent = 'No saved rule (using global default)';
+  }
+}
+
+// Fill the scope picker: matching stored rules plus the scopes that could be created
+function renderScopeOptions() {
+  scopeSelect.textContent = '';
+  const entries = [];
+  getMatchingKeys(activeTabUrl, storedKeys, activeTabId).forEach(key => {
+    entries.push({ key, label: `${describePattern(key)} rule` });
+  });
+  getScopeCandidates(activeTabUrl, activeTabId).forEach(candidate => {
+    if (!entries.some(entry => entry.key === candidate.key)) entries.push(candidate);
+  });
+  if (!entries.some(entry => entry.key === settingsKey)) {
+    entries.push({ key: settingsKey, label: 'Rule' });
+  }
+
+  entries.forEach(entry => {
+    const option = document.createElement('option');
+    option.value = entry.key;
+    const display = entry.key.startsWith('file:') ? 'local file' : entry.key;
+    const suffix = entry.key === matchedKey ? ' - active' : (storedKeys.includes(entry.key) ? '' : ' - new');
+    option.textContent = `${entry.label}: ${display}${suffix}`;
+    scopeSelect.appendChild(option);
+  });
+  scopeSelect.value = settingsKey;
+}
+
+// Switch the scope changes are saved to
+async function handleScopeChange() {
+  flushSettingsSave(); // Still for the previous scope
+  settingsKey = scopeSelect.value;
+  // Existing rules show their own values; a new scope starts from what is in effect now
+  await loadSettings(storedKeys.includes(settingsKey) ? settingsKey : matchedKey);
+}
+
 // Helper function to update all UI elements based on currentSettings
 function updateUiWithSettings() {
   enableSwitch.checked = currentSettings.enabled;
+  webAudioHookCheckbox.checked = currentSettings.webAudioHook;
+  updatePresetControls();
   thresholdSlider.value = currentSettings.threshold;
   ratioSlider.value = currentSettings.ratio;
   // Ensure values are within slider bounds
   attackSlider.value = Math.max(parseFloat(attackSlider.min), Math.min(parseFloat(attackSlider.max), currentSettings.attack * 1000)); // s to ms
   releaseSlider.value = Math.max(parseFloat(releaseSlider.min), Math.min(parseFloat(releaseSlider.max), currentSettings.release * 1000)); // s to ms
   outputGainSlider.value = currentSettings.outputGain;
+  kneeSlider.value = currentSettings.knee;
+  compressorModeSelect.value = currentSettings.compressorMode;
+  sidechainHighpassSlider.value = currentSettings.sidechainHighpass;
+  updateSidechainControls();
+  updateSliderValueDisplay(kneeSlider);
+  updateSliderValueDisplay(sidechainHighpassSlider);
+  multibandSwitch.checked = currentSettings.multiband;
+  multibandControls.hidden = !currentSettings.multiband;
+  Object.entries(multibandSliders).forEach(([field, slider]) => {
+    slider.value = currentSettings[field];
+    updateSliderValueDisplay(slider);
+  });
+  stereoMonoCheckbox.checked = currentSettings.stereoMono;
+  stereoSwapCheckbox.checked = currentSettings.stereoSwap;
+  stereoBalanceSlider.value = currentSettings.stereoBalance * 100;
+  stereoWidthSlider.value = currentSettings.stereoWidth * 100;
+  stereoWidthSlider.disabled = currentSettings.stereoMono; // Mono means zero width
+  updateSliderValueDisplay(stereoBalanceSlider);
+  updateSliderValueDisplay(stereoWidthSlider);
+  eqSwitch.checked = currentSettings.eq;
+  eqControls.hidden = !currentSettings.eq;
+  eqGraph.setSettings(currentSettings);
+  transferGraph.setSettings(currentSettings);
+  gateSwitch.checked = currentSettings.gate;
+  gateControls.hidden = !currentSettings.gate;
+  Object.entries(gateSliders).forEach(([field, slider]) => {
+    slider.value = GATE_TIME_FIELDS.includes(field) ? currentSettings[field] * 1000 : currentSettings[field]; // s to ms
+    updateSliderValueDisplay(slider);
+  });
+  autoLevelSwitch.checked = currentSettings.autoLevel;
+  autoLevelControls.hidden = !currentSettings.autoLevel;
+  Object.entries(autoLevelSliders).forEach(([field, slider]) => {
+    slider.value = currentSettings[field];
+    updateSliderValueDisplay(slider);
+  });
+  limiterSwitch.checked = currentSettings.limiter;
+  limiterControls.hidden = !currentSettings.limiter;
+  limiterCeilingSlider.value = currentSettings.limiterCeiling;
+  limiterReleaseSlider.value = currentSettings.limiterRelease * 1000; // s to ms
+  updateSliderValueDisplay(limiterCeilingSlider);
+  updateSliderValueDisplay(limiterReleaseSlider);
 
   // Update displayed values for sliders
   updateSliderValueDisplay(thresholdSlider);
@@ -265,6 +984,7 @@ function updateUiWithSettings() {
   updateSliderValueDisplay(attackSlider);
   updateSliderValueDisplay(releaseSlider);
   updateSliderValueDisplay(outputGainSlider);
+  updateLayerInfo();
 }
 
 // Update individual slider value displays
@@ -282,88 +1002,431 @@ function updateSliderValueDisplay(slider) {
       break;
     case 'attack':
     case 'release':
+    case 'limiter-release':
+    case 'gate-attack':
+    case 'gate-hold':
+    case 'gate-release':
       valueEl.textContent = `${displayValue} ms`;
       break;
+    case 'knee':
+      valueEl.textContent = `${displayValue} dB`;
+      break;
+    case 'sidechain-highpass':
+      valueEl.textContent = `${displayValue} Hz`;
+      break;
     case 'output-gain':
+    case 'limiter-ceiling':
       valueEl.textContent = `${parseFloat(displayValue).toFixed(1)} dB`;
       break;
+    case 'crossover-low':
+    case 'crossover-high':
+      valueEl.textContent = displayValue >= 1000
+        ? `${(displayValue / 1000).toFixed(1)} kHz`
+        : `${displayValue} Hz`;
+      break;
+    case 'stereo-balance': {
+      const balance = parseInt(displayValue, 10);
+      valueEl.textContent = balance === 0 ? 'Center' : `${balance < 0 ? 'L' : 'R'} ${Math.abs(balance)}`;
+      break;
+    }
+    case 'stereo-width':
+      valueEl.textContent = `${displayValue}%`;
+      break;
+    case 'auto-level-target':
+      valueEl.textContent = `${displayValue} LUFS`;
+      break;
+    case 'auto-level-max-boost':
+    case 'auto-level-max-cut':
+      valueEl.textContent = `${displayValue} dB`;
+      break;
+    case 'gate-threshold':
+    case 'gate-range':
+    case 'low-threshold':
+    case 'mid-threshold':
+    case 'high-threshold':
+      valueEl.textContent = `${displayValue} dB`;
+      break;
+    case 'low-ratio':
+    case 'mid-ratio':
+    case 'high-ratio':
+      valueEl.textContent = `${parseFloat(displayValue).toFixed(1)}:1`;
+      break;
   }
 }
 
 // Event handler for slider input changes
 function handleSliderInput(e) {
   updateSliderValueDisplay(e.target); // Update the display immediately
-  updateSettings(); // Debounce could be added here if performance is an issue
+  // Moving a slider detaches the site from its preset
+  presetSelect.value = '';
+  previewSettings();
+}
+
+// Event handler for knee, sidechain, stereo, gate, auto-level, multiband and limiter slider changes
+// (these are not part of presets, so the site stays linked to its preset)
+function handleStageSliderInput(e) {
+  updateSliderValueDisplay(e.target);
+  previewSettings();
 }
 
 // Event handler for enable switch changes
 function handleSettingChange() {
+    multibandControls.hidden = !multibandSwitch.checked;
+    limiterControls.hidden = !limiterSwitch.checked;
+    autoLevelControls.hidden = !autoLevelSwitch.checked;
+    eqControls.hidden = !eqSwitch.checked;
+    stereoWidthSlider.disabled = stereoMonoCheckbox.checked;
+    gateControls.hidden = !gateSwitch.checked;
+    updateSidechainControls();
     updateSettings();
 }
 
-// Update settings and send to background script
-function updateSettings() {
-  if (!activeTabId || !settingsKey) {
-      console.warn("Cannot update settings: Missing activeTabId or settingsKey.");
-      return;
+// The high-pass slider only applies to the sidechain compressor, which
+// multiband mode does not use
+function updateSidechainControls() {
+  sidechainControls.hidden = compressorModeSelect.value !== 'sidechain';
+  compressorModeSelect.disabled = multibandSwitch.checked;
+  sidechainHighpassSlider.disabled = multibandSwitch.checked;
+}
+
+// Event handler for EQ graph edits (the EQ is not part of presets either)
+function handleEqChange(change) {
+  currentSettings = { ...currentSettings, ...change };
+  previewSettings();
+}
+
+// Apply a whole EQ curve (voice clarity or flat)
+function applyEqCurve(curve) {
+  currentSettings = { ...currentSettings, eqHighpass: curve.eqHighpass, eqLowpass: curve.eqLowpass, eqBands: curve.eqBands };
+  eqGraph.setSettings(currentSettings);
+  updateSettings();
+}
+
+// Apply an edit in progress to the tab without saving it, and save it once
+// the edit pauses. The tab only hears about it if the edited rule is what
+// applies to the tab.
+function previewSettings() {
+  if (!activeTabId || !settingsKey) return;
+  // Tab-only edits are kept in memory by the background, so they go straight through
+  if (tabOnlySwitch.checked) {
+    updateSettings();
+    return;
   }
 
-  // Read current values from UI
+  currentSettings = readSettingsFromUi();
+  updatePresetControls();
+  transferGraph.setSettings(currentSettings);
+
+  if (resolveKeyForUrl(activeTabUrl, [...storedKeys, settingsKey], activeTabId) === settingsKey) {
+    browser.runtime.sendMessage({
+      type: 'PREVIEW_SETTINGS',
+      tabId: activeTabId,
+      settings: currentSettings
+    }).catch(error => {
+      console.error("Error previewing settings:", error);
+    });
+  }
+
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(flushSettingsSave, SAVE_DELAY_MS);
+}
+
+// Save an edit that is still waiting for its delayed save
+function flushSettingsSave() {
+  if (saveTimer) updateSettings();
+}
+
+// Settings as shown in the UI
+function readSettingsFromUi() {
   const newSettings = {
+    ...currentSettings, // Keep fields the popup does not edit
     enabled: enableSwitch.checked,
+    preset: presetSelect.value || null,
     threshold: parseFloat(thresholdSlider.value),
     ratio: parseFloat(ratioSlider.value),
     attack: parseFloat(attackSlider.value) / 1000, // Convert ms to s
     release: parseFloat(releaseSlider.value) / 1000, // Convert ms to s
-    outputGain: parseFloat(outputGainSlider.value)
+    outputGain: parseFloat(outputGainSlider.value),
+    knee: parseFloat(kneeSlider.value),
+    compressorMode: compressorModeSelect.value,
+    sidechainHighpass: parseFloat(sidechainHighpassSlider.value),
+    webAudioHook: webAudioHookCheckbox.checked,
+    multiband: multibandSwitch.checked,
+    limiter: limiterSwitch.checked,
+    limiterCeiling: parseFloat(limiterCeilingSlider.value),
+    limiterRelease: parseFloat(limiterReleaseSlider.value) / 1000 // Convert ms to s
   };
+  newSettings.autoLevel = autoLevelSwitch.checked;
+  newSettings.stereoMono = stereoMonoCheckbox.checked;
+  newSettings.stereoSwap = stereoSwapCheckbox.checked;
+  newSettings.stereoBalance = parseFloat(stereoBalanceSlider.value) / 100;
+  newSettings.stereoWidth = parseFloat(stereoWidthSlider.value) / 100;
+  newSettings.eq = eqSwitch.checked;
+  newSettings.gate = gateSwitch.checked;
+  Object.entries(gateSliders).forEach(([field, slider]) => {
+    const value = parseFloat(slider.value);
+    newSettings[field] = GATE_TIME_FIELDS.includes(field) ? value / 1000 : value; // Convert ms to s
+  });
+  Object.entries({ ...multibandSliders, ...autoLevelSliders }).forEach(([field, slider]) => {
+    newSettings[field] = parseFloat(slider.value);
+  });
+  return newSettings;
+}
+
+// Update settings and send to background script
+function updateSettings() {
+  if (!activeTabId || !settingsKey) {
+      console.warn("Cannot update settings: Missing activeTabId or settingsKey.");
+      return;
+  }
+  // This saves any edit waiting for its delayed save too
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  // Read current values from UI
+  const newSettings = readSettingsFromUi();
 
   // Update local state immediately for responsiveness
   currentSettings = newSettings;
+  updatePresetControls();
+  transferGraph.setSettings(currentSettings);
+
+  // Tab-only edits are kept in memory by the background, nothing is saved
+  if (tabOnlySwitch.checked) {
+    return updateTabOverride(newSettings);
+  }
+
+  // Overridden values left alone stay on the tab; edited ones move to the
+  // saved profile and stop being overridden
+  const saved = { ...newSettings };
+  let overrideChanged = false;
+  if (tabOverride) {
+    const remaining = {};
+    Object.entries(tabOverride).forEach(([field, value]) => {
+      if (JSON.stringify(newSettings[field]) === JSON.stringify(value)) {
+        saved[field] = savedSettings[field];
+        remaining[field] = value;
+      } else {
+        overrideChanged = true;
+      }
+    });
+    // Editing a compressor value detaches the profile from its preset
+    if (COMPRESSOR_FIELDS.some(field => saved[field] !== savedSettings[field])) {
+      saved.preset = newSettings.preset;
+    }
+    if (overrideChanged) {
+      updateTabOverride(Object.keys(remaining).length > 0 ? remaining : null);
+    }
+  }
 
   // Send updated settings to background script with context
-  browser.runtime.sendMessage({
+  pendingUpdates++;
+  return browser.runtime.sendMessage({
     type: 'UPDATE_SETTINGS',
     tabId: activeTabId, // Include tabId for context
     key: settingsKey,   // The key (domain, file URL, or tab-id) these settings apply to
-    settings: newSettings
+    settings: saved
+  }).then(response => {
+    if (response && response.settings) {
+      savedSettings = { ...FACTORY_SETTINGS, ...response.settings };
+      displayedKey = settingsKey;
+    }
+    // Preset-linked settings are resolved by the background script
+    if (response && response.settings && newSettings.preset) {
+      currentSettings = { ...savedSettings, ...tabOverride };
+      updateUiWithSettings();
+    }
+    // Saving to a new scope creates a rule that may now be the active one
+    if (response && response.success && !storedKeys.includes(settingsKey)) {
+      storedKeys.push(settingsKey);
+      matchedKey = resolveKeyForUrl(activeTabUrl, storedKeys, activeTabId);
+      updateDomainInfo();
+      renderScopeOptions();
+    }
+    updateLayerInfo();
   }).catch(error => {
     console.error(`Error updating settings for key "${settingsKey}":`, error);
     // Optionally revert UI or show error to user
+  }).finally(() => {
+    pendingUpdates--;
   });
 }
 
-// Reset settings to defaults for the current key
-async function handleResetClick() {
+// Reset settings for the current key: to the global default, or to the factory values
+async function handleResetClick(factory) {
    if (!activeTabId || !settingsKey) {
       console.warn("Cannot reset settings: Missing activeTabId or settingsKey.");
       return;
    }
+   // The reset replaces an edit still waiting to be saved
+   clearTimeout(saveTimer);
+   saveTimer = null;
 
    console.log(`Resetting settings for key: ${settingsKey}`);
+   pendingUpdates++;
    try {
        const response = await browser.runtime.sendMessage({
            type: 'RESET_SETTINGS',
            tabId: activeTabId,
-           key: settingsKey
+           key: settingsKey,
+           factory
        });
 
        if (response.error) {
            console.error(`Error resetting settings for key "${settingsKey}":`, response.error);
-           // Even on error, revert UI to default for consistency
-           currentSettings = { ...DEFAULT_SETTINGS };
        } else {
-           // Background confirms reset, update local state to default
-           currentSettings = { ...DEFAULT_SETTINGS };
-           console.log(`Settings reset to default for key "${settingsKey}".`);
+           console.log(`Settings reset to ${factory ? 'factory values' : 'global default'} for key "${settingsKey}".`);
        }
    } catch (error) {
        console.error(`Error communicating reset request for key "${settingsKey}":`, error);
-       // Fallback UI update on communication error
-       currentSettings = { ...DEFAULT_SETTINGS };
    }
-   // Update UI to reflect the reset (to defaults)
-   updateUiWithSettings();
+   // Removing a rule may hand the tab over to a less specific one
+   await refreshRules();
+   renderScopeOptions();
+   // Update UI to reflect the reset (the tab override, if any, stays on top)
+   await loadSettings(storedKeys.includes(settingsKey) ? settingsKey : matchedKey);
+   pendingUpdates--;
+   showStatus(factory
+     ? `Restored factory settings for ${settingsKey}.`
+     : `Removed ${settingsKey}; now following ${matchedKey || 'the global default'}.`);
+}
+
+// Make the current values the global default for every site without a profile
+async function handleSetGlobalDefault() {
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'SET_GLOBAL_DEFAULT',
+      settings: normalizeSettings(currentSettings)
+    });
+    if (response.error) {
+      showStatus(response.error, true);
+      return;
+    }
+    showStatus('Saved as the global default.');
+  } catch (error) {
+    console.error("Error setting global default:", error);
+    showStatus('Error saving the global default.', true);
+  }
+}
+
+// Load the preset list from the background script and fill the picker
+async function loadPresets() {
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'GET_PRESETS' });
+    presets = response.presets || [];
+  } catch (error) {
+    console.error("Error loading presets:", error);
+    presets = [];
+  }
+  renderPresetOptions();
+}
+
+// Rebuild the <option> list of the preset picker
+function renderPresetOptions() {
+  presetSelect.textContent = '';
+  const customOption = document.createElement('option');
+  customOption.value = '';
+  customOption.textContent = 'Custom';
+  presetSelect.appendChild(customOption);
+
+  const groups = [
+    { label: 'Built-in', items: presets.filter(p => p.builtin) },
+    { label: 'My Presets', items: presets.filter(p => !p.builtin) }
+  ];
+  groups.forEach(group => {
+    if (group.items.length === 0) return;
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.label;
+    group.items.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      optgroup.appendChild(option);
+    });
+    presetSelect.appendChild(optgroup);
+  });
+  updatePresetControls();
+}
+
+// Sync the preset picker and buttons with currentSettings
+function updatePresetControls() {
+  const preset = presets.find(p => p.id === currentSettings.preset);
+  presetSelect.value = preset ? preset.id : '';
+  deletePresetButton.disabled = !preset || preset.builtin;
+  if (preset && !preset.builtin) {
+    presetNameInput.value = preset.name;
+  }
+}
+
+// Show a short status message below the buttons
+function showStatus(text, isError = false) {
+  statusMessage.textContent = text;
+  statusMessage.classList.toggle('error', isError);
+}
+
+// Link the current site to the chosen preset (or detach it for "Custom")
+async function handlePresetSelect() {
+  showStatus('');
+  await updateSettings();
+}
+
+// Save the current slider values as a preset and link the site to it.
+// Saving under the name of an existing user preset overwrites it, which
+// updates every site that uses that preset.
+async function handleSavePreset() {
+  const name = presetNameInput.value.trim();
+  if (!name) {
+    showStatus('Enter a name for the preset.', true);
+    return;
+  }
+  const sameName = presets.find(p => p.name.toLowerCase() === name.toLowerCase());
+  if (sameName && sameName.builtin) {
+    showStatus(`"${sameName.name}" is a built-in preset. Choose another name.`, true);
+    return;
+  }
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: 'SAVE_PRESET',
+      id: sameName ? sameName.id : undefined,
+      name,
+      settings: currentSettings
+    });
+    if (response.error) {
+      showStatus(response.error, true);
+      return;
+    }
+    presets = response.presets;
+    renderPresetOptions();
+    presetSelect.value = response.id;
+    await updateSettings();
+    showStatus(sameName ? `Updated preset "${name}".` : `Saved preset "${name}".`);
+  } catch (error) {
+    console.error("Error saving preset:", error);
+    showStatus('Error saving preset.', true);
+  }
+}
+
+// Delete the selected user preset; sites using it keep its values
+async function handleDeletePreset() {
+  const preset = presets.find(p => p.id === presetSelect.value);
+  if (!preset || preset.builtin) return;
+
+  try {
+    const response = await browser.runtime.sendMessage({ type: 'DELETE_PRESET', id: preset.id });
+    if (response.error) {
+      showStatus(response.error, true);
+      return;
+    }
+    presets = response.presets;
+    currentSettings = { ...currentSettings, preset: null };
+    presetNameInput.value = '';
+    renderPresetOptions();
+    showStatus(`Deleted preset "${preset.name}".`);
+  } catch (error) {
+    console.error("Error deleting preset:", error);
+    showStatus('Error deleting preset.', true);
+  }
 }
 
 // Create scale marks for the level meter
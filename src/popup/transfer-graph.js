@@ -0,0 +1,194 @@
+"use strict";
+/**
+ * Easy Volume Compressor - Transfer Graph
+ *
+ * Draws the compressor's static input -> output curve in the popup (threshold,
+ * ratio, knee, the compressor's automatic makeup gain and output gain; one
+ * curve per band in multiband mode) with a
+ * dot for the current input level and gain reduction, and next to it a short
+ * scrolling history of level and reduction. The curve comes from
+ * EVCAudioChain.compressorCurve and compressorMakeup, the same curve the real
+ * chain uses.
+ */
+
+// Display range of both axes (dB)
+const TRANSFER_MIN_DB = -60;
+const TRANSFER_MAX_DB = 10;
+// Gain reduction shown at the bottom of the history (dB)
+const HISTORY_MAX_REDUCTION = 20;
+// One history column per this many ms
+const HISTORY_INTERVAL_MS = 50;
+const BAND_COLORS = { low: '#c0392b', mid: '#27ae60', high: '#2980b9' };
+
+class TransferGraph {
+  constructor(canvas, readout) {
+    this.canvas = canvas;
+    this.readout = readout;
+    this.settings = null;
+    // The curve is a square on the left, the history fills the rest
+    this.size = canvas.height;
+    this.historyX = this.size + 8;
+    this.historyWidth = canvas.width - this.historyX;
+    this.history = []; // { level, reduction } per column, oldest first
+    this.current = null; // Latest { input, output, reduction }, null without audio
+    this.lastHistoryTime = 0;
+  }
+
+  // Show a settings object's curve
+  setSettings(settings) {
+    this.settings = settings;
+    this.draw();
+  }
+
+  // Record the current meter reading: input and output level (dB) and gain
+  // reduction (dB); null when nothing is playing
+  update(reading, now) {
+    this.current = reading;
+    if (now - this.lastHistoryTime >= HISTORY_INTERVAL_MS) {
+      this.lastHistoryTime = now;
+      this.history.push(reading
+        ? { level: reading.output, reduction: reading.reduction }
+        : { level: TRANSFER_MIN_DB, reduction: 0 });
+      if (this.history.length > this.historyWidth) this.history.shift();
+    }
+    this.draw();
+    this.updateReadout();
+  }
+
+  dbToX(db) {
+    return (db - TRANSFER_MIN_DB) / (TRANSFER_MAX_DB - TRANSFER_MIN_DB) * this.size;
+  }
+
+  dbToY(db) {
+    const clamped = Math.max(TRANSFER_MIN_DB, Math.min(TRANSFER_MAX_DB, db));
+    return (1 - (clamped - TRANSFER_MIN_DB) / (TRANSFER_MAX_DB - TRANSFER_MIN_DB)) * this.size;
+  }
+
+  // Curves to draw as { threshold, ratio, color }
+  getCurves() {
+    const settings = this.settings;
+    if (settings.multiband) {
+      return Object.keys(BAND_COLORS).map(band => ({
+        threshold: settings[`${band}Threshold`],
+        ratio: settings[`${band}Ratio`],
+        color: BAND_COLORS[band]
+      }));
+    }
+    return [{ threshold: settings.threshold, ratio: settings.ratio, color: '#4a4a9e' }];
+  }
+
+  draw() {
+    const ctx = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!this.settings) return;
+
+    this.drawGrid(ctx);
+    this.drawCurves(ctx);
+    this.drawDot(ctx);
+    this.drawHistory(ctx, height);
+  }
+
+  // Grid every 10 dB and the unity line
+  drawGrid(ctx) {
+    const size = this.size;
+    ctx.strokeStyle = 'rgba(0,0,0,0.08)';
+    ctx.lineWidth = 1;
+    for (let db = TRANSFER_MIN_DB + 10; db < TRANSFER_MAX_DB; db += 10) {
+      const x = Math.round(this.dbToX(db)) + 0.5;
+      const y = Math.round(this.dbToY(db)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, size);
+      ctx.moveTo(0, y);
+      ctx.lineTo(size, y);
+      ctx.stroke();
+    }
+    ctx.strokeStyle = 'rgba(0,0,0,0.25)';
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(0, size);
+    ctx.lineTo(size, 0);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.strokeRect(0.5, 0.5, size - 1, size - 1);
+
+    ctx.fillStyle = 'rgba(0,0,0,0.4)';
+    ctx.font = '9px sans-serif';
+    ctx.fillText('0', this.dbToX(0) + 2, size - 3);
+    ctx.fillText('-30', this.dbToX(-30) + 2, size - 3);
+    ctx.fillText('in', size - 12, size - 3);
+    ctx.fillText('out', 3, 10);
+  }
+
+  // Static curve(s) including makeup and output gain, with the threshold marked
+  drawCurves(ctx) {
+    const { outputGain, knee } = this.settings;
+    this.getCurves().forEach(curve => {
+      const gain = EVCAudioChain.compressorMakeup(curve.threshold, curve.ratio, knee) + outputGain;
+      ctx.strokeStyle = curve.color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      for (let x = 0; x <= this.size; x++) {
+        const input = TRANSFER_MIN_DB + x / this.size * (TRANSFER_MAX_DB - TRANSFER_MIN_DB);
+        const y = this.dbToY(EVCAudioChain.compressorCurve(input, curve.threshold, curve.ratio, knee) + gain);
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+
+      ctx.fillStyle = curve.color;
+      ctx.beginPath();
+      ctx.arc(this.dbToX(curve.threshold), this.dbToY(curve.threshold + gain), 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  // Current input level against the output it produced
+  drawDot(ctx) {
+    const reading = this.current;
+    if (!reading || reading.input <= TRANSFER_MIN_DB) return;
+    ctx.fillStyle = reading.reduction > 0.5 ? '#f39c12' : '#00aa44';
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(this.dbToX(reading.input), this.dbToY(reading.output), 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  // Output level (line, top) and gain reduction (bars hanging from the
+  // bottom) over the last few seconds, newest on the right
+  drawHistory(ctx, height) {
+    const left = this.historyX;
+    ctx.strokeStyle = 'rgba(0,0,0,0.25)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left + 0.5, 0.5, this.historyWidth - 1, height - 1);
+
+    const start = left + this.historyWidth - this.history.length;
+    ctx.fillStyle = 'rgba(243,156,18,0.6)';
+    this.history.forEach((sample, i) => {
+      const barHeight = Math.min(1, sample.reduction / HISTORY_MAX_REDUCTION) * height;
+      if (barHeight > 0) ctx.fillRect(start + i, height - barHeight, 1, barHeight);
+    });
+
+    ctx.strokeStyle = '#00aa44';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    this.history.forEach((sample, i) => {
+      const y = this.dbToY(sample.level);
+      if (i === 0) ctx.moveTo(start + i, y);
+      else ctx.lineTo(start + i, y);
+    });
+    ctx.stroke();
+  }
+
+  // Describe the dot under the graph (only touching the DOM when the text changes)
+  updateReadout() {
+    const reading = this.current;
+    const text = !reading || reading.input <= TRANSFER_MIN_DB
+      ? 'Play something to see where it sits on the curve.'
+      : `In ${Math.round(reading.input)} dB, out ${Math.round(reading.output)} dB, reduction ${reading.reduction.toFixed(1)} dB`;
+    if (this.readout.textContent !== text) this.readout.textContent = text;
+  }
+}